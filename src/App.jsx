@@ -1,249 +1,1122 @@
-import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
-import { Search, FileText, Zap, Clock, Info, X, ChevronDown, AlertTriangle } from 'lucide-react';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { FileText, Zap, Clock, Info, X, AlertTriangle, BookOpen, Filter, Square, CornerDownLeft, FolderOpen, Bookmark, ChevronUp, ChevronDown, Binary, BarChart3, LineChart } from 'lucide-react';
+import { formatArgumentValue } from './dlt/verbose.js';
+import { parseCatalog } from './dlt/catalog.js';
+import { TIME_MODES, formatAbsolute, formatUptime, parseTimeInput } from './dlt/time.js';
+import { compileFilterSet, emptyFilterSet } from './dlt/filters.js';
+import { isStorageHeader, storageSeconds } from './dlt/parser.js';
+import { LogStore, lowerBound } from './dlt/store.js';
+import { exportRecords, EXPORT_FORMATS } from './dlt/export.js';
+import { downloadBlob } from './download.js';
+import { droppedFiles, isTraceFile } from './files.js';
+import { Histogram, HISTOGRAM_SPLITS, levelSlot } from './dlt/histogram.js';
+import { MSTP_CONTROL } from './dlt/header.js';
+import { bookmarkKey, loadBookmarks, saveBookmarks, deleteBookmark, serializeBookmarks, parseBookmarks } from './bookmarks.js';
+import FilterPanel from './components/FilterPanel.jsx';
+import LogTable from './components/LogTable.jsx';
+import TypeBadge from './components/TypeBadge.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import SourceBar from './components/SourceBar.jsx';
+import LiveMenu from './components/LiveMenu.jsx';
+import LiveBar from './components/LiveBar.jsx';
+import TimelineChart from './components/TimelineChart.jsx';
+import BookmarkPanel from './components/BookmarkPanel.jsx';
+import SearchBar from './components/SearchBar.jsx';
+import { emptySearch, compileSearch } from './dlt/search.js';
+import HexInspector from './components/HexInspector.jsx';
+import ProblemPanel from './components/ProblemPanel.jsx';
+import { inspectMessage } from './dlt/inspect.js';
+import DecoderMenu from './components/DecoderMenu.jsx';
+import { loadSavedDecoders, saveDecoders, createDecoderEntry } from './dlt/decoders.js';
+import StatsView from './components/StatsView.jsx';
+import SignalPanel from './components/SignalPanel.jsx';
+import { loadSavedSignals, saveSignals } from './dlt/signals.js';
+import ArchivePicker from './components/ArchivePicker.jsx';
+import { isGzip, isZip, isCapture, isDltEntry, gunzip, listZip, extractZipEntry } from './dlt/archive.js';
 
-const LARGE_FILE_LIMIT = 50 * 1024 * 1024; // 50MB
-const PAGE_SIZE = 100; // Virtualized pagination chunk size
-const PARSE_TIMEOUT_MS = 30000; // 30 second timeout for parsing
+// Parse problems beyond this many are counted but not listed
+const MAX_PROBLEMS = 5000;
+// Bytes of a problem region loaded into the inspector
+const PROBLEM_PREVIEW = 4096;
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
 
 export default function App() {
-  const [logs, setLogs] = useState([]);
+  // Parsed records live in a mutable columnar store; logCount changes whenever a batch lands
+  const [logs, setLogs] = useState(() => new LogStore());
+  const [logCount, setLogCount] = useState(0);
   const [status, setStatus] = useState('No data');
   const [loading, setLoading] = useState(false);
   const [showRangeSelector, setShowRangeSelector] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [fileBuffer, setFileBuffer] = useState(null);
+  const [search, setSearch] = useState(emptySearch);
+  // Progress of the worker search: records searched so far and how many of them match
+  const [searchProgress, setSearchProgress] = useState({ id: 0, searched: 0, hits: 0, error: null });
+  // Opened files, ordered by their first timestamp; records refer to them by index
+  const [sourceFiles, setSourceFiles] = useState([]);
+  const [sourceCounts, setSourceCounts] = useState(null);
+  const [hiddenSources, setHiddenSources] = useState(() => new Set());
+  const [dragging, setDragging] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [timeline, setTimeline] = useState({ start: 0, end: 0 });
   const [selectedStart, setSelectedStart] = useState(0);
   const [selectedEnd, setSelectedEnd] = useState(0);
+  // Per-second message counts from the index pass (or the live capture), shown as a minimap;
+  // `zoom` limits the table to a brushed window of whole seconds
+  const [histogram, setHistogram] = useState(null);
+  const [indexProgress, setIndexProgress] = useState(null);
+  const [histogramSplit, setHistogramSplit] = useState('level');
+  const [zoom, setZoom] = useState(null);
   const [selectedLog, setSelectedLog] = useState(null);
-  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  // Store index of the highlighted row; survives filter changes
+  const [cursorIndex, setCursorIndex] = useState(null);
+  const [anchorIndex, setAnchorIndex] = useState(null);
+  const [goToText, setGoToText] = useState('');
   const [error, setError] = useState(null);
+  const [catalog, setCatalog] = useState(null);
+  // Payload decoder files, kept across sessions
+  const [decoderEntries, setDecoderEntries] = useState(loadSavedDecoders);
+  const [timeMode, setTimeMode] = useState('absolute');
+  const [filterSet, setFilterSet] = useState(emptyFilterSet);
+  const [showFilters, setShowFilters] = useState(false);
+  // Parts of the files the parser could not turn into complete records
+  const [problems, setProblems] = useState({ list: [], total: 0 });
+  const [showProblems, setShowProblems] = useState(false);
+  const [detailTab, setDetailTab] = useState('details');
+  // Raw bytes of a problem region in the inspector: { problem, bytes, inspection }
+  const [inspecting, setInspecting] = useState(null);
+  // 'all', 'hide' or 'only' control messages
+  const [controlMode, setControlMode] = useState('all');
+  // Content hashes of sourceFiles (empty until computed, and for live captures) and the
+  // bookmarks stored for them, by bookmark key
+  const [fileHashes, setFileHashes] = useState([]);
+  const [bookmarks, setBookmarks] = useState(() => new Map());
+  const [showBookmarks, setShowBookmarks] = useState(false);
+  // Volume, rate and integrity statistics from the parse worker (updated while live)
+  const [stats, setStats] = useState(null);
+  const [showStats, setShowStats] = useState(false);
+  // Signal definitions (kept across sessions) and the values last extracted for them:
+  // { series, stale, live, base } with the capture base the offsets count from when live
+  const [signals, setSignals] = useState(loadSavedSignals);
+  const [showSignals, setShowSignals] = useState(false);
+  const [signalExtraction, setSignalExtraction] = useState(null);
+  const [signalProgress, setSignalProgress] = useState(null);
+  // Archive or capture being unpacked ({ name, fraction }) and the zip entries offered to open
+  const [unpacking, setUnpacking] = useState(null);
+  const [archiveOffer, setArchiveOffer] = useState(null);
+  // Live capture session: connection state, counters and the pause / auto-scroll toggles
+  const [live, setLive] = useState(null);
 
   const workerRef = useRef(null);
+  const liveWorkerRef = useRef(null);
+  const indexWorkerRef = useRef(null);
+  const signalWorkerRef = useRef(null);
+  // Mutable side of the live session the worker callbacks work on: captured bytes, the
+  // current store and the batches held back while paused
+  const captureRef = useRef(null);
+  const lastRangeRef = useRef(null);
+  const filterCacheRef = useRef(null);
+  const bookmarkCacheRef = useRef(null);
+  const hashedFilesRef = useRef(null);
+  const searchWorkerRef = useRef(null);
+  // Worker that loads and runs decoder files for the page, and its unanswered requests
+  const decoderWorkerRef = useRef(null);
+  const decoderRequestsRef = useRef({ id: 0, pending: new Map() });
+  // Match flags per store index for the current query, and the records mirrored to the
+  // search worker so far ({ logs, count, strings })
+  const searchRef = useRef({ id: 0, base: 0, flags: new Uint8Array(0), searched: 0, hits: 0, mirror: null });
 
-  // Reset pagination when search changes
-  useEffect(() => {
-    setVisibleCount(PAGE_SIZE);
-  }, [searchTerm]);
-
-  const formatTime = (ts) => {
-    if (!ts) return "00:00:00";
-    try {
-      return new Date(ts * 1000).toISOString().substr(11, 8);
-    } catch (e) {
-      return "00:00:00";
-    }
+  // Reads only the head and tail of each file to find its first and last timestamps;
+  // the combined timeline spans all of them
+  const fastScanTimeline = async (files) => {
+    const spans = await Promise.all(files.map(scanFile));
+    const starts = spans.map(s => s.start).filter(Boolean);
+    return {
+      start: starts.length ? Math.min(...starts) : 0,
+      end: Math.max(0, ...spans.map(s => s.end)),
+      spans
+    };
   };
 
-  const fastScanTimeline = (buffer) => {
-    const data = new DataView(buffer);
+  const scanFile = async (file) => {
     let start = 0, end = 0;
-    
-    const isDltHeader = (dv, offset) => {
-      return offset + 4 <= dv.byteLength &&
-             dv.getUint8(offset) === 68 && 
-             dv.getUint8(offset+1) === 76 && 
-             dv.getUint8(offset+2) === 84 && 
-             dv.getUint8(offset+3) === 1;
-    };
 
-    for (let i = 0; i < Math.min(buffer.byteLength, 100000); i++) {
-      if (isDltHeader(data, i)) {
-        start = data.getUint32(i + 4, true);
+    const head = new DataView(await file.slice(0, 100000).arrayBuffer());
+    for (let i = 0; i < head.byteLength; i++) {
+      if (isStorageHeader(head, i) && i + 8 <= head.byteLength) {
+        start = storageSeconds(head, i);
         break;
       }
     }
-    for (let i = buffer.byteLength - 20; i > Math.max(0, buffer.byteLength - 200000); i--) {
-      if (isDltHeader(data, i)) {
-        end = data.getUint32(i + 4, true);
+    const tail = new DataView(await file.slice(Math.max(0, file.size - 200000)).arrayBuffer());
+    for (let i = tail.byteLength - 20; i >= 0; i--) {
+      if (isStorageHeader(tail, i)) {
+        end = storageSeconds(tail, i);
         break;
       }
     }
     return { start, end };
   };
 
-  const handleFileUpload = async (e) => {
+  // Captures are converted in a worker; resolves to a .dlt File of the DLT traffic
+  const convertCaptureFile = (file) => new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./dlt/pcap.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        setUnpacking({ name: file.name, fraction: msg.bytes / msg.total });
+        return;
+      }
+      worker.terminate();
+      if (msg.type === 'error') reject(new Error(msg.message));
+      else if (msg.packets === 0) reject(new Error('no DLT messages over UDP, or over TCP port 3490, in the capture'));
+      else resolve(msg.file);
+    };
+    worker.onerror = () => {
+      worker.terminate();
+      reject(new Error('the capture could not be read'));
+    };
+    worker.postMessage({ file, name: `${file.name.replace(/\.pcap(ng)?$/i, '')}.dlt` });
+  });
+
+  // Gzip files and captures become plain .dlt Files; the DLT files inside zip archives are
+  // listed as { archive, entry } to be picked. Inputs that cannot be opened are listed in
+  // `failures` and the others are opened anyway.
+  const unpackInputs = async (picked) => {
+    const files = [];
+    const offered = [];
+    const failures = [];
+    for (const file of picked) {
+      setUnpacking({ name: file.name, fraction: null });
+      try {
+        if (isZip(file.name)) {
+          const entries = (await listZip(file)).filter(entry => isDltEntry(entry.name));
+          if (entries.length === 0) throw new Error('the archive contains no .dlt files');
+          offered.push(...entries.map(entry => ({ archive: file, entry })));
+        } else if (isGzip(file.name)) {
+          files.push(await gunzip(file));
+        } else if (isCapture(file.name)) {
+          files.push(await convertCaptureFile(file));
+        } else {
+          files.push(file);
+        }
+      } catch (err) {
+        failures.push(`${file.name}: ${err.message}`);
+      }
+    }
+    setUnpacking(null);
+    return { files, offered, failures };
+  };
+
+  // Archives holding more than one DLT file ask which of them to open
+  const openFiles = async (picked) => {
+    if (picked.length === 0) return;
+    setError(null);
+    const { files, offered, failures } = await unpackInputs(picked);
+    if (offered.length > 1) {
+      setArchiveOffer({ files, offered, failures });
+      if (failures.length) setError(`Could not open ${failures.join('; ')}`);
+    } else {
+      openArchiveEntries(files, offered, failures);
+    }
+  };
+
+  // Opens `files` with the picked zip entries; the failures of earlier steps are reported
+  // once parsing has started, as that clears the error
+  const openArchiveEntries = async (files, offered, failures = []) => {
+    setArchiveOffer(null);
+    const extracted = [];
+    const failed = [...failures];
+    for (const { archive, entry } of offered) {
+      const name = `${archive.name}/${entry.name}`;
+      setUnpacking({ name, fraction: null });
+      try {
+        extracted.push(await extractZipEntry(archive, entry));
+      } catch (err) {
+        failed.push(`${name}: ${err.message}`);
+      }
+    }
+    setUnpacking(null);
+    await loadFiles([...files, ...extracted]);
+    if (failed.length) setError(`Could not open ${failed.join('; ')}`);
+  };
+
+  const loadFiles = async (picked) => {
+    if (picked.length === 0) return;
+    stopLive();
+    setLive(null);
+
+    // Rotated chunks of one recording line up when ordered by their first timestamp
+    const { start, end, spans } = await fastScanTimeline(picked);
+    const files = picked
+      .map((file, i) => ({ file, start: spans[i].start }))
+      .sort((a, b) => (a.start - b.start) || a.file.name.localeCompare(b.file.name))
+      .map(({ file }) => file);
+
+    setSourceFiles(files);
+    setHiddenSources(new Set());
+    hashedFilesRef.current = files;
+    setFileHashes(files.map(() => null));
+    setBookmarks(new Map());
+    setTimeline({ start, end });
+    setSelectedStart(start);
+    setSelectedEnd(end);
+    startIndexing(files, { start, end });
+    startParsing(files);
+  };
+
+  // Bookmarks of a file seen before come back once the index pass has hashed its content
+  const loadFileBookmarks = async (files, source, hash) => {
+    try {
+      const stored = await loadBookmarks([hash]);
+      if (hashedFilesRef.current !== files) return;
+      setFileHashes(current => current.map((h, i) => (i === source ? hash : h)));
+      setBookmarks(current => new Map([...current, ...stored.map(b => [b.key, b])]));
+    } catch (err) {
+      setError(`Bookmarks are unavailable: ${err.message}`);
+    }
+  };
+
+  const stopIndexing = () => {
+    if (indexWorkerRef.current) {
+      indexWorkerRef.current.terminate();
+      indexWorkerRef.current = null;
+    }
+  };
+
+  // Header-only pass over all files for the histogram; runs next to the full parse. Its
+  // first and last seconds replace the head/tail `estimate` of the timeline, and of the
+  // range selection unless the user has brushed one meanwhile.
+  const startIndexing = (files, estimate) => {
+    stopIndexing();
+    setHistogram(null);
+    setZoom(null);
+    setIndexProgress(0);
+
+    const worker = new Worker(new URL('./dlt/index.worker.js', import.meta.url), { type: 'module' });
+    indexWorkerRef.current = worker;
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'hash') {
+        loadFileBookmarks(files, msg.source, msg.hash);
+        return;
+      }
+      setHistogram(msg.histogram);
+      if (msg.type === 'progress') {
+        setIndexProgress(msg.bytes / msg.total);
+        return;
+      }
+      setIndexProgress(null);
+      if (msg.histogram.messages > 0) {
+        const { start, end } = msg.histogram;
+        setTimeline({ start, end });
+        setSelectedStart(current => (current === estimate.start ? start : current));
+        setSelectedEnd(current => (current === estimate.end ? end : current));
+      }
+      stopIndexing();
+    };
+
+    worker.onerror = () => {
+      setIndexProgress(null);
+      setError("The file index could not be built; the message density chart and bookmarks are unavailable.");
+      stopIndexing();
+    };
+
+    worker.postMessage({ files });
+  };
+
+  const handleFileUpload = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    openFiles(files);
+  };
+
+  const handleFolderUpload = (e) => {
+    const files = Array.from(e.target.files).filter(isTraceFile);
+    e.target.value = '';
+    if (files.length === 0) setError("The folder contains no .dlt files, archives or captures.");
+    openFiles(files);
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragging(false);
+    const files = await droppedFiles(e.dataTransfer);
+    if (files.length === 0) setError("Only .dlt and .dlt.gz files, .zip archives and .pcap/.pcapng captures (or folders containing them) can be opened.");
+    openFiles(files);
+  };
+
+  // The catalog lives for the whole session; files opened afterwards are decoded with it too
+  const handleCatalogUpload = async (e) => {
     const file = e.target.files[0];
+    e.target.value = '';
     if (!file) return;
 
+    try {
+      const loaded = parseCatalog(await file.text(), file.name);
+      setCatalog(loaded);
+      if (liveWorkerRef.current) liveWorkerRef.current.postMessage({ type: 'catalog', catalog: loaded });
+      else if (sourceFiles.length) startParsing(sourceFiles, lastRangeRef.current, loaded);
+      // Parameters of unsupported types are shown as raw bytes rather than failing the catalog
+      const { warnings } = loaded;
+      setError(warnings.length
+        ? `Catalog loaded with ${warnings.length} undecodable parameter${warnings.length > 1 ? 's' : ''}: ${warnings[0]}${warnings.length > 1 ? ', …' : ''}`
+        : null);
+    } catch (err) {
+      setError(`Could not load catalog: ${err.message}`);
+    }
+  };
+
+  // Rows decoded with the catalog are parsed again without it
+  const removeCatalog = () => {
+    setCatalog(null);
+    if (liveWorkerRef.current) liveWorkerRef.current.postMessage({ type: 'catalog', catalog: null });
+    else if (sourceFiles.length) startParsing(sourceFiles, lastRangeRef.current, null);
+  };
+
+  const addProblems = (found) => {
+    setProblems(current => ({
+      list: current.list.length < MAX_PROBLEMS ? current.list.concat(found.slice(0, MAX_PROBLEMS - current.list.length)) : current.list,
+      total: current.total + found.length
+    }));
+  };
+
+  const inspectProblem = async (problem) => {
+    const file = sourceFiles[problem.source];
+    if (!file) return;
+    const bytes = await file.slice(problem.offset, problem.offset + Math.min(problem.length, PROBLEM_PREVIEW)).arrayBuffer();
+    const data = new Uint8Array(bytes);
+    setInspecting({ problem, bytes: data, inspection: inspectMessage(data, catalog) });
+  };
+
+  // Decoders run in the workers, so a change re-parses the open files
+  const changeDecoders = (entries) => {
+    setDecoderEntries(entries);
+    try {
+      saveDecoders(entries);
+    } catch (err) {
+      setError(`Decoders could not be saved for the next session: ${err.message}`);
+    }
+    if (liveWorkerRef.current) liveWorkerRef.current.postMessage({ type: 'decoders', decoders: entries });
+    else if (sourceFiles.length) startParsing(sourceFiles, lastRangeRef.current, catalog, entries);
+  };
+
+  // A worker could not load these decoder files and ran without them; they stay off until
+  // the user enables them again
+  const disableDecoders = (failures) => {
+    const failed = new Set(failures.map(failure => failure.id));
+    setDecoderEntries(current => {
+      const next = current.map(entry => (failed.has(entry.id) ? { ...entry, enabled: false } : entry));
+      try {
+        saveDecoders(next);
+      } catch {
+        // The entries are off for this session anyway
+      }
+      return next;
+    });
+    setError(`Switched off decoder ${failures.map(failure => `${failure.fileName} (${failure.message})`).join(', ')}`);
+  };
+
+  useEffect(() => {
+    const worker = new Worker(new URL('./dlt/decoder.worker.js', import.meta.url), { type: 'module' });
+    const requests = decoderRequestsRef.current;
+    worker.onmessage = (e) => {
+      const request = requests.pending.get(e.data.id);
+      if (!request) return;
+      requests.pending.delete(e.data.id);
+      request.resolve(e.data);
+    };
+    worker.onerror = () => {
+      for (const request of requests.pending.values()) request.reject(new Error('the decoder worker failed'));
+      requests.pending.clear();
+    };
+    decoderWorkerRef.current = worker;
+    return () => {
+      worker.terminate();
+      decoderWorkerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (decoderWorkerRef.current) decoderWorkerRef.current.postMessage({ type: 'catalog', catalog });
+  }, [catalog]);
+
+  // Posts a load or decode request to the decoder worker and resolves with its answer
+  const askDecoderWorker = (request) => new Promise((resolve, reject) => {
+    const requests = decoderRequestsRef.current;
+    const id = ++requests.id;
+    requests.pending.set(id, { resolve, reject });
+    decoderWorkerRef.current.postMessage({ ...request, id });
+  });
+
+  // The file is loaded in a worker before it is kept, as the parse workers will load it
+  const handleDecoderLoad = async (file) => {
+    const entry = createDecoderEntry(file.name, await file.text());
+    let failures;
+    try {
+      ({ failures } = await askDecoderWorker({ type: 'load', decoders: [entry] }));
+    } catch (err) {
+      failures = [{ message: err.message }];
+    }
+    if (failures.length) {
+      setError(`Could not load decoder ${entry.fileName}: ${failures[0].message}`);
+      return;
+    }
     setError(null);
-    setLoading(true);
-    const buffer = await file.arrayBuffer();
-    setFileBuffer(buffer);
-    
-    const meta = fastScanTimeline(buffer);
-    setTimeline(meta);
-
-    if (buffer.byteLength > LARGE_FILE_LIMIT && meta.start > 0) {
-      setSelectedStart(meta.start);
-      setSelectedEnd(meta.end);
-      setShowRangeSelector(true);
-      setLoading(false);
-    } else {
-      startParsing(buffer);
+    changeDecoders([...decoderEntries, entry]);
+  };
+
+  const stopSignals = () => {
+    if (signalWorkerRef.current) {
+      signalWorkerRef.current.terminate();
+      signalWorkerRef.current = null;
+    }
+    setSignalProgress(null);
+  };
+
+  // Separate pass over the opened files (or the live capture so far) for the enabled signals
+  const startSignals = (activeSignals = signals) => {
+    if (!activeSignals.some(signal => signal.enabled) || !sourceFiles.length) return;
+    stopSignals();
+    const capture = live ? captureRef.current : null;
+    const files = capture ? [capture.file] : sourceFiles;
+    setSignalProgress(0);
+
+    const worker = new Worker(new URL('./dlt/signal.worker.js', import.meta.url), { type: 'module' });
+    signalWorkerRef.current = worker;
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'decoders') {
+        disableDecoders(msg.failures);
+        return;
+      }
+      if (msg.type === 'progress') {
+        setSignalProgress(msg.total ? msg.bytes / msg.total : 0);
+        return;
+      }
+      setSignalExtraction({ series: msg.series, stale: false, live: capture !== null, base: capture ? capture.base : 0 });
+      stopSignals();
+    };
+
+    worker.onerror = () => {
+      setError("An error occurred while extracting the signals.");
+      stopSignals();
+    };
+
+    worker.postMessage({ files, range: capture ? null : lastRangeRef.current, catalog, decoders: decoderEntries, signals: activeSignals });
+  };
+
+  const changeSignals = (next) => {
+    setSignals(next);
+    try {
+      saveSignals(next);
+    } catch (err) {
+      setError(`Signals could not be saved for the next session: ${err.message}`);
+    }
+    setSignalExtraction(current => (current ? { ...current, stale: true } : current));
+  };
+
+  // Opening the panel, and every finished parse while it is open, extracts the signals
+  // unless an extraction is running or its result is still shown
+  useEffect(() => {
+    if (showSignals && !loading && !live && !signalExtraction && !signalWorkerRef.current) startSignals();
+  }, [showSignals, loading, live, signalExtraction]);
+
+  const stopWorker = () => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
     }
   };
 
-  const startParsing = (buffer, range = null) => {
-    if (!buffer) return;
+  const cancelParsing = () => {
+    stopWorker();
+    setLoading(false);
+    setProgress(null);
+    setStatus("Cancelled (partial)");
+  };
+
+  const startParsing = (files, range = null, activeCatalog = catalog, activeDecoders = decoderEntries) => {
+    if (!files.length) return;
+    stopWorker();
+    lastRangeRef.current = range;
+    stopSignals();
+    setSignalExtraction(null);
     setLoading(true);
     setShowRangeSelector(false);
     setError(null);
-    setLogs([]);
-
-    const workerCode = `
-      onmessage = function(e) {
-        const { buffer, range } = e.data;
-        const data = new DataView(buffer);
-        const logs = [];
-        let offset = 0;
-
-        function cleanString(dv, off, len) {
-          let str = "";
-          for(let i=0; i<len; i++) {
-            const b = dv.getUint8(off + i);
-            if(b >= 32 && b <= 126) str += String.fromCharCode(b);
-          }
-          return str.trim();
-        }
+    setSelectedLog(null);
+    setCursorIndex(null);
+    setAnchorIndex(null);
+    setSourceCounts(null);
+    setProblems({ list: [], total: 0 });
+    setStats(null);
 
-        while (offset < buffer.byteLength) {
-          // Look for DLT Storage Header "DLT\\x01"
-          if (offset + 16 <= buffer.byteLength && 
-              data.getUint8(offset) === 68 && 
-              data.getUint8(offset+1) === 76 && 
-              data.getUint8(offset+2) === 84 &&
-              data.getUint8(offset+3) === 1) {
-              
-              const timestamp = data.getUint32(offset + 4, true);
-              const headerOffset = offset + 16;
-              
-              const tooEarly = range && timestamp < range.start;
-              const tooLate = range && timestamp > range.end;
-
-              if (tooLate) break;
-
-              // Read Standard Header
-              if (headerOffset + 4 <= buffer.byteLength) {
-                const headerCtrl = data.getUint8(headerOffset);
-                const msb = (headerCtrl & 0x02) !== 0; // If Bit 1 is set, Big Endian. But DLT is usually little for headers.
-                const length = data.getUint16(headerOffset + 2, false); // Length is usually Big Endian in Std Header
-                const nextMessageOffset = headerOffset + length;
-
-                if (!tooEarly && length > 4) {
-                  const hasEcu = (headerCtrl & 0x04) !== 0;
-                  const hasExt = (headerCtrl & 0x01) !== 0;
-                  
-                  let ecu = "N/A";
-                  let cur = headerOffset + 4;
-                  
-                  // Counter (1 byte) + Length (2 bytes) + Header Ctrl (1 byte) = 4 bytes already read
-                  if (hasEcu && cur + 4 <= buffer.byteLength) {
-                    ecu = cleanString(data, cur, 4);
-                    cur += 4;
-                  }
-                  
-                  // Skip Session ID if exists (Bit 4)
-                  if ((headerCtrl & 0x10) !== 0) cur += 4;
-                  // Skip Timestamp if exists (Bit 5)
-                  if ((headerCtrl & 0x20) !== 0) cur += 4;
-
-                  let app = "-";
-                  if (hasExt && cur + 10 <= buffer.byteLength) {
-                    // Extended Header: MSB (1 byte) + Arguments (1 byte) + AppID (4 bytes) + ContextID (4 bytes)
-                    cur += 2; // skip MSB and Args
-                    app = cleanString(data, cur, 4);
-                  }
-
-                  let p = "";
-                  // Payload extraction - look further ahead to skip metadata
-                  const pOffset = cur + (hasExt ? 8 : 0); 
-                  if (pOffset < headerOffset + length) {
-                    const pLen = Math.min(256, (headerOffset + length) - pOffset);
-                    for(let i=0; i < pLen; i++) {
-                      if (pOffset + i >= buffer.byteLength) break;
-                      const b = data.getUint8(pOffset + i);
-                      if(b >= 32 && b <= 126) p += String.fromCharCode(b);
-                      else if (b === 10 || b === 13) p += " ";
-                    }
-                  }
-
-                  logs.push({
-                    time: new Date(timestamp * 1000).toISOString().substr(11, 8),
-                    ecu: ecu || "N/A",
-                    app: app || "-",
-                    payload: p.trim(),
-                    id: logs.length + 1
-                  });
-                }
-                offset = nextMessageOffset;
-                continue;
-              }
-          }
-          offset++; 
-        }
-        postMessage(logs);
-      };
-    `;
+    const store = new LogStore();
+    setLogs(store);
+    setLogCount(0);
+    setProgress({ bytes: 0, total: files.reduce((sum, file) => sum + file.size, 0), messages: 0 });
 
-    const blob = new Blob([workerCode], { type: 'application/javascript' });
-    const worker = new Worker(URL.createObjectURL(blob));
+    const worker = new Worker(new URL('./dlt/parser.worker.js', import.meta.url), { type: 'module' });
     workerRef.current = worker;
 
-    const timeoutId = setTimeout(() => {
-      if (workerRef.current) {
-        workerRef.current.terminate();
-        setLoading(false);
-        setError("Parsing timed out. Please select a smaller time range or ensure the file is a valid DLT.");
-        setShowRangeSelector(true);
-      }
-    }, PARSE_TIMEOUT_MS);
-
     worker.onmessage = (e) => {
-      clearTimeout(timeoutId);
-      setLogs(e.data);
+      const msg = e.data;
+      if (msg.type === 'decoders') {
+        disableDecoders(msg.failures);
+        return;
+      }
+      if (msg.problems.length) addProblems(msg.problems);
+      if (msg.type === 'progress') {
+        if (msg.batch) {
+          store.append(msg.batch);
+          setLogCount(store.size);
+        }
+        setProgress({ bytes: msg.bytes, total: msg.total, messages: msg.messages });
+        return;
+      }
+      // Files arrive one after the other; interleave them by storage time
+      const merged = files.length > 1 ? store.sortedByTime() : store;
+      if (merged !== store) setLogs(merged);
+      const counts = new Array(files.length).fill(0);
+      for (let i = 0; i < merged.size; i++) counts[merged.columns.source[i]]++;
+      setSourceCounts(counts);
+      setStats(msg.stats);
       setLoading(false);
-      setStatus(range ? "Custom Range" : "Full File");
-      worker.terminate();
-      workerRef.current = null;
+      setProgress(null);
+      setStatus(range ? "Custom Range" : files.length > 1 ? `${files.length} Files` : "Full File");
+      stopWorker();
     };
 
     worker.onerror = (err) => {
-      clearTimeout(timeoutId);
       setLoading(false);
+      setProgress(null);
       setError("An error occurred while parsing the file binary stream.");
+      stopWorker();
+    };
+
+    worker.postMessage({ files, range, catalog: activeCatalog, decoders: activeDecoders });
+  };
+
+  const stopLive = () => {
+    if (liveWorkerRef.current) {
+      liveWorkerRef.current.terminate();
+      liveWorkerRef.current = null;
+    }
+  };
+
+  // The captured messages, with generated storage headers, act as the single source file.
+  // Past the ring buffer limit the oldest records and their bytes are dropped.
+  const startLive = ({ url, ecu, limit }) => {
+    stopWorker();
+    stopLive();
+    stopIndexing();
+    stopSignals();
+    setSignalExtraction(null);
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    const store = new LogStore();
+    const capture = { file: new File([], `live-${stamp}.dlt`), store, base: 0, limit, paused: false, queue: [], histogram: new Histogram() };
+    captureRef.current = capture;
+
+    setLogs(store);
+    setLogCount(0);
+    setSourceFiles([capture.file]);
+    setSourceCounts(null);
+    setHiddenSources(new Set());
+    setProblems({ list: [], total: 0 });
+    setStats(null);
+    hashedFilesRef.current = null;
+    setFileHashes([]);
+    setBookmarks(new Map());
+    setTimeline({ start: 0, end: 0 });
+    setHistogram(null);
+    setIndexProgress(null);
+    setZoom(null);
+    setSelectedLog(null);
+    setCursorIndex(null);
+    setAnchorIndex(null);
+    setError(null);
+    setLoading(false);
+    setProgress(null);
+    setStatus("Live");
+    setLive({ url, status: 'connecting', reason: null, paused: false, follow: true, messages: 0, dropped: 0, skipped: 0, queued: 0 });
+
+    const worker = new Worker(new URL('./dlt/live.worker.js', import.meta.url), { type: 'module' });
+    liveWorkerRef.current = worker;
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'open') {
+        setLive(current => ({ ...current, status: 'open' }));
+      } else if (msg.type === 'decoders') {
+        disableDecoders(msg.failures);
+      } else if (msg.type === 'progress') {
+        if (capture.paused) {
+          capture.queue.push(msg);
+          setLive(current => ({ ...current, messages: msg.messages, skipped: msg.skipped, queued: current.queued + (msg.batch ? msg.batch.count : 0) }));
+        } else {
+          applyLive(capture, msg);
+        }
+      } else if (msg.type === 'closed') {
+        if (capture.paused) resumeLive();
+        setLive(current => ({ ...current, status: 'closed', reason: msg.reason }));
+        setStatus("Live (stopped)");
+        stopLive();
+      }
+    };
+
+    worker.onerror = () => {
+      setLive(current => ({ ...current, status: 'closed', reason: "The live capture worker failed." }));
+      stopLive();
+    };
+
+    worker.postMessage({ type: 'connect', url, ecu, catalog, decoders: decoderEntries });
+  };
+
+  const applyLive = (capture, msg) => {
+    capture.file = new File([capture.file, msg.bytes], capture.file.name);
+    let store = capture.store;
+    if (msg.batch) {
+      // Worker offsets count from the start of the session, the kept bytes from `base`
+      const { offset } = msg.batch.columns;
+      for (let i = 0; i < offset.length; i++) offset[i] -= capture.base;
+      store.append(msg.batch);
+      const { sec, mstp, mtin, ecu } = msg.batch.columns;
+      for (let i = 0; i < msg.batch.count; i++) {
+        capture.histogram.add(sec[i], levelSlot(mstp[i], mtin[i]), store.strings[ecu[i]]);
+      }
+      setHistogram(capture.histogram.snapshot());
+    }
+
+    // Trimming copies the store, so it only happens once the limit is exceeded by 10%
+    let dropped = 0;
+    if (store.size > capture.limit * 1.1) {
+      dropped = store.size - capture.limit;
+      const cut = store.columns.offset[dropped];
+      store = store.dropFirst(dropped);
+      for (let i = 0; i < store.size; i++) store.columns.offset[i] -= cut;
+      capture.base += cut;
+      capture.file = new File([capture.file.slice(cut)], capture.file.name);
+      capture.store = store;
+      setLogs(store);
+      const shift = (index) => (index === null || index < dropped ? null : index - dropped);
+      setCursorIndex(shift);
+      setAnchorIndex(shift);
+    }
+
+    setLogCount(store.size);
+    setSourceFiles([capture.file]);
+    if (msg.stats) setStats({ ...msg.stats, live: true });
+    setLive(current => ({ ...current, messages: msg.messages, skipped: msg.skipped, dropped: current.dropped + dropped }));
+  };
+
+  const resumeLive = () => {
+    const capture = captureRef.current;
+    capture.paused = false;
+    for (const msg of capture.queue) applyLive(capture, msg);
+    capture.queue = [];
+    setLive(current => ({ ...current, paused: false, queued: 0 }));
+  };
+
+  const toggleLivePause = () => {
+    if (captureRef.current.paused) {
+      resumeLive();
+      return;
+    }
+    captureRef.current.paused = true;
+    setLive(current => ({ ...current, paused: true, follow: false }));
+  };
+
+  const saveLive = () => {
+    const { file, queue } = captureRef.current;
+    downloadBlob(new Blob([file, ...queue.map(msg => msg.bytes)]), file.name);
+  };
+
+  // Details re-decode the message from its bytes in the decoder worker, so rows need not
+  // keep argument lists
+  const openDetails = async (log) => {
+    setSelectedLog(log);
+    const file = sourceFiles[log.source];
+    if (!file) return;
+    const bytes = await file.slice(log.offset, log.offset + log.length).arrayBuffer();
+    let result = { failures: [], args: null, decoded: null, decodeError: null };
+    try {
+      result = await askDecoderWorker({ type: 'decode', bytes, decoders: decoderEntries });
+    } catch (err) {
+      result.decodeError = `Could not decode the message: ${err.message}`;
+    }
+    if (result.failures.length) disableDecoders(result.failures);
+    setSelectedLog(current => (current && current.index === log.index
+      ? {
+          ...current,
+          args: result.args,
+          decoded: result.decoded,
+          decodeError: result.decodeError,
+          bytes: new Uint8Array(bytes)
+        }
+      : current));
+  };
+
+  const selectedInspection = useMemo(() => (
+    selectedLog && selectedLog.bytes && detailTab === 'bytes' ? inspectMessage(selectedLog.bytes, catalog) : null
+  ), [selectedLog, detailTab, catalog]);
+
+  const compiledFilters = useMemo(() => compileFilterSet(filterSet), [filterSet]);
+
+  // The pattern is compiled here too, for highlighting and to flag an invalid regex early
+  const searchQuery = useMemo(() => {
+    const { text, caseSensitive, wholeWord, regex, columns } = search;
+    let pattern = null, error = null;
+    try {
+      pattern = compileSearch(search);
+    } catch (err) {
+      error = err.message;
+    }
+    return { text, caseSensitive, wholeWord, regex, columns, pattern, error, active: pattern !== null && columns.length > 0 };
+  }, [search.text, search.caseSensitive, search.wholeWord, search.regex, search.columns]);
+
+  useEffect(() => {
+    const worker = new Worker(new URL('./dlt/search.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      const state = searchRef.current;
+      const msg = e.data;
+      if (msg.id !== state.id) return;
+      if (msg.type === 'error') {
+        setSearchProgress(current => ({ ...current, error: msg.message }));
+        return;
+      }
+      // `from` counts from the first record ever mirrored; records dropped since are skipped
+      let start = msg.from - state.base;
+      let flags = msg.flags;
+      if (start < 0) {
+        flags = flags.subarray(Math.min(-start, flags.length));
+        start = 0;
+      }
+      if (start + flags.length > state.flags.length) {
+        const grown = new Uint8Array(Math.max(start + flags.length, state.flags.length * 2, 65536));
+        grown.set(state.flags);
+        state.flags = grown;
+      }
+      state.flags.set(flags, start);
+      for (let i = 0; i < flags.length; i++) state.hits += flags[i];
+      state.searched = start + flags.length;
+      setSearchProgress({ id: state.id, searched: state.searched, hits: state.hits, error: null });
+    };
+    searchWorkerRef.current = worker;
+    return () => {
       worker.terminate();
-      workerRef.current = null;
+      searchWorkerRef.current = null;
+      searchRef.current.mirror = null;
     };
+  }, []);
 
-    worker.postMessage({ buffer, range });
+  // Starts the current query over from the first record
+  const restartSearch = () => {
+    const state = searchRef.current;
+    state.id++;
+    state.flags = new Uint8Array(0);
+    state.searched = 0;
+    state.hits = 0;
+    setSearchProgress({ id: state.id, searched: 0, hits: 0, error: null });
+    const { text, caseSensitive, wholeWord, regex, columns, active } = searchQuery;
+    searchWorkerRef.current.postMessage({
+      type: 'search',
+      id: state.id,
+      search: active ? { text, caseSensitive, wholeWord, regex, columns } : null
+    });
   };
 
+  // Keeps the worker's copy of the searchable columns in step with the store: new records
+  // are appended, a ring buffer trim drops the front, anything else starts over
+  useEffect(() => {
+    const worker = searchWorkerRef.current;
+    if (!worker) return;
+    const state = searchRef.current;
+    let mirror = state.mirror;
+    if (!mirror || mirror.logs !== logs) {
+      const dropped = mirror ? logs.base - mirror.logs.base : 0;
+      if (mirror && logs.strings === mirror.logs.strings && dropped > 0 && dropped <= mirror.count) {
+        worker.postMessage({ type: 'drop', count: dropped });
+        mirror = { ...mirror, logs, count: mirror.count - dropped };
+        state.base = logs.base;
+        for (let i = 0; i < Math.min(dropped, state.searched); i++) state.hits -= state.flags[i];
+        state.flags = state.flags.slice(Math.min(dropped, state.flags.length));
+        state.searched = Math.max(0, state.searched - dropped);
+        setSearchProgress(current => ({ ...current, searched: state.searched, hits: state.hits }));
+      } else {
+        worker.postMessage({ type: 'reset', base: logs.base });
+        mirror = { logs, count: 0, strings: 0 };
+        state.base = logs.base;
+        restartSearch();
+      }
+    }
+    if (logCount > mirror.count) {
+      const { ecu, app, ctx } = logs.columns;
+      const first = lowerBound(logs.fieldIndices, mirror.count);
+      const last = lowerBound(logs.fieldIndices, logCount);
+      worker.postMessage({
+        type: 'append',
+        payloads: logs.payloads.slice(mirror.count, logCount),
+        fields: logs.fieldIndices.slice(first, last).map((index, k) => [logs.base + index, logs.fieldTexts[first + k]]),
+        ecu: ecu.slice(mirror.count, logCount),
+        app: app.slice(mirror.count, logCount),
+        ctx: ctx.slice(mirror.count, logCount),
+        strings: logs.strings.slice(mirror.strings)
+      });
+      mirror = { ...mirror, count: logCount, strings: logs.strings.length };
+    }
+    state.mirror = mirror;
+  }, [logs, logCount]);
+
+  useEffect(() => {
+    if (searchWorkerRef.current) restartSearch();
+  }, [searchQuery]);
+
+  const filteringBySearch = searchQuery.active && search.mode === 'filter';
+
+  // Indices of matching records. While a file is still streaming in only the new
+  // records are tested; the array is extended in place, so watch its length too.
+  // A filtering search only lets through the records the worker has searched so far.
   const filteredLogs = useMemo(() => {
-    if (!searchTerm) return logs;
-    const s = searchTerm.toLowerCase();
-    return logs.filter(l => 
-      l.payload.toLowerCase().includes(s) || 
-      l.ecu.toLowerCase().includes(s) || 
-      l.app.toLowerCase().includes(s)
-    );
-  }, [logs, searchTerm]);
-
-  const displayLogs = useMemo(() => {
-    return filteredLogs.slice(0, visibleCount);
-  }, [filteredLogs, visibleCount]);
-
-  const handleScroll = useCallback((e) => {
-    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
-    if (scrollHeight - scrollTop <= clientHeight + 150) {
-      if (visibleCount < filteredLogs.length) {
-        setVisibleCount(prev => prev + PAGE_SIZE);
+    const { active, predicate } = compiledFilters;
+    const searchId = filteringBySearch ? searchProgress.id : 0;
+    const limit = filteringBySearch ? Math.min(logCount, searchProgress.searched) : logCount;
+    const matches = searchRef.current.flags;
+    const cache = filterCacheRef.current;
+    const reuse = cache && cache.logs === logs && cache.filters === compiledFilters && cache.search === searchId &&
+      cache.hidden === hiddenSources && cache.zoom === zoom && cache.control === controlMode && cache.count <= limit;
+    const indices = reuse ? cache.indices : [];
+    const { source, sec, mstp } = logs.columns;
+    for (let i = reuse ? cache.count : 0; i < limit; i++) {
+      if (hiddenSources.size && hiddenSources.has(source[i])) continue;
+      if (controlMode !== 'all' && (mstp[i] === MSTP_CONTROL) !== (controlMode === 'only')) continue;
+      if (zoom && (sec[i] < zoom.start || sec[i] > zoom.end)) continue;
+      if (searchId && !matches[i]) continue;
+      if (!active || predicate(logs.get(i))) indices.push(i);
+    }
+    filterCacheRef.current = { logs, filters: compiledFilters, search: searchId, hidden: hiddenSources, zoom, control: controlMode, count: limit, indices };
+    return indices;
+  }, [logs, logCount, searchProgress, filteringBySearch, compiledFilters, hiddenSources, zoom, controlMode]);
+  const filteredCount = filteredLogs.length;
+
+  const firstLog = logCount > 0 ? logs.get(0) : null;
+  const getRow = (position) => logs.get(filteredLogs[position]);
+
+  // Position of the highlighted record in the filtered view; when it has been filtered
+  // out, the next visible record takes its place
+  const cursor = useMemo(() => {
+    if (cursorIndex === null || filteredCount === 0) return null;
+    return Math.min(lowerBound(filteredLogs, cursorIndex), filteredCount - 1);
+  }, [filteredLogs, filteredCount, cursorIndex]);
+
+  const moveCursor = (position, extend = false) => {
+    setCursorIndex(filteredLogs[position]);
+    if (!extend || anchorIndex === null) setAnchorIndex(filteredLogs[position]);
+  };
+
+  // Rows between the anchor and the cursor, as positions in the filtered view
+  const selection = useMemo(() => {
+    if (cursor === null || anchorIndex === null) return null;
+    const anchor = Math.min(lowerBound(filteredLogs, anchorIndex), filteredCount - 1);
+    return { from: Math.min(anchor, cursor), to: Math.max(anchor, cursor) };
+  }, [filteredLogs, filteredCount, cursor, anchorIndex]);
+  const selectionCount = selection ? selection.to - selection.from + 1 : 0;
+
+  const handleExport = (format, scope) => {
+    const indices = scope === 'selection' ? filteredLogs.slice(selection.from, selection.to + 1) : filteredLogs;
+    const baseName = sourceFiles.length > 1 ? 'merged' : sourceFiles[0].name.replace(/\.dlt$/i, '');
+    const { blob, skipped } = exportRecords(format, { files: sourceFiles, logs, indices });
+    if (skipped) setError(`${skipped} truncated message${skipped > 1 ? 's were' : ' was'} left out of the export.`);
+    downloadBlob(blob, `${baseName}-${scope === 'selection' ? 'selection' : 'filtered'}.${EXPORT_FORMATS[format].extension}`);
+  };
+
+  const toggleSource = (source) => {
+    setHiddenSources(current => {
+      const next = new Set(current);
+      if (!next.delete(source)) next.add(source);
+      return next;
+    });
+  };
+
+  // "#1234" / "1234" jumps to a message number, anything else is read as a timestamp
+  const handleGoTo = (e) => {
+    e.preventDefault();
+    const text = goToText.trim();
+    if (!text || filteredCount === 0) return;
+    if (/^#?\d+$/.test(text)) {
+      const index = parseInt(text.replace('#', ''), 10) - 1 - logs.base;
+      moveCursor(Math.min(lowerBound(filteredLogs, index), filteredCount - 1));
+      return;
+    }
+    const target = parseTimeInput(text, firstLog.sec);
+    if (target === null) {
+      setError(`"${text}" is neither a message number nor a time (HH:MM:SS.ffffff or YYYY-MM-DD HH:MM:SS).`);
+      return;
+    }
+    jumpToTime(target);
+  };
+
+  // Moves the cursor to the first visible record at or after `target` (microseconds)
+  const jumpToTime = (target) => {
+    if (filteredCount === 0) return;
+    let position = filteredLogs.findIndex(i => logs.micros(i) >= target);
+    if (position === -1) position = filteredCount - 1;
+    if (live) setLive(current => ({ ...current, follow: false }));
+    moveCursor(position);
+  };
+
+  // Moves the cursor to the first record of `source` at or after byte `target` of the
+  // loaded bytes (statistics and signals name records by file offset)
+  const jumpToOffset = (source, target) => {
+    const columns = logs.columns;
+    let found = -1;
+    for (let i = 0; i < logs.size; i++) {
+      if (columns.source[i] !== source || columns.offset[i] < target) continue;
+      if (found === -1 || columns.offset[i] < columns.offset[found]) found = i;
+    }
+    if (found === -1) {
+      setError('That message is no longer loaded.');
+      return;
+    }
+    if (live) setLive(current => ({ ...current, follow: false }));
+    setCursorIndex(found);
+    setAnchorIndex(found);
+  };
+
+  const cursorLog = cursor !== null ? getRow(cursor) : null;
+
+  // Store index -> bookmark for the parsed records, extended in place while a file streams in
+  const bookmarkRows = useMemo(() => {
+    const cache = bookmarkCacheRef.current;
+    const reuse = cache && cache.logs === logs && cache.bookmarks === bookmarks && cache.hashes === fileHashes;
+    const rows = reuse ? cache.rows : new Map();
+    if (bookmarks.size > 0) {
+      const bySource = fileHashes.map(() => new Map()); // offset -> bookmark per file
+      for (const b of bookmarks.values()) {
+        const source = fileHashes.indexOf(b.hash);
+        if (source !== -1) bySource[source].set(b.offset, b);
+      }
+      const { source, offset } = logs.columns;
+      for (let i = reuse ? cache.count : 0; i < logCount; i++) {
+        const b = bySource[source[i]] && bySource[source[i]].get(offset[i]);
+        if (b) rows.set(i, b);
       }
     }
-  }, [visibleCount, filteredLogs.length]);
+    bookmarkCacheRef.current = { logs, bookmarks, hashes: fileHashes, count: logCount, rows };
+    return rows;
+  }, [logs, logCount, bookmarks, fileHashes]);
+
+  const updateBookmark = (bookmark) => {
+    setBookmarks(current => new Map(current).set(bookmark.key, bookmark));
+    saveBookmarks([bookmark]).catch(err => setError(`Could not save bookmark: ${err.message}`));
+  };
+
+  const removeBookmark = (bookmark) => {
+    setBookmarks(current => {
+      const next = new Map(current);
+      next.delete(bookmark.key);
+      return next;
+    });
+    deleteBookmark(bookmark.key).catch(err => setError(`Could not delete bookmark: ${err.message}`));
+  };
+
+  const toggleBookmark = (index) => {
+    const existing = bookmarkRows.get(index);
+    if (existing) {
+      removeBookmark(existing);
+      return;
+    }
+    const log = logs.get(index);
+    const hash = fileHashes[log.source];
+    if (!hash) return;
+    updateBookmark({
+      key: bookmarkKey(hash, log.offset),
+      hash,
+      offset: log.offset,
+      fileName: sourceFiles[log.source].name,
+      color: 'amber',
+      note: '',
+      sec: log.sec,
+      usec: log.usec,
+      ecu: log.ecu,
+      app: log.app,
+      ctx: log.ctx,
+      payload: log.payload.slice(0, 200),
+      created: Date.now()
+    });
+  };
+
+  const isMatch = (index) => searchQuery.active && index < searchProgress.searched && searchRef.current.flags[index] === 1;
+
+  // Next (1) or previous (-1) search match in the filtered view, wrapping around
+  const gotoMatch = (direction) => {
+    if (!searchQuery.active || filteredCount === 0) return;
+    const from = cursor === null ? (direction > 0 ? -1 : filteredCount) : cursor;
+    for (let step = 1; step <= filteredCount; step++) {
+      const position = (from + direction * step + filteredCount * 2) % filteredCount;
+      if (isMatch(filteredLogs[position])) {
+        moveCursor(position);
+        return;
+      }
+    }
+  };
+
+  // Next (1) or previous (-1) bookmarked row in the filtered view, wrapping around
+  const gotoBookmark = (direction) => {
+    const positions = [...bookmarkRows.keys()]
+      .map(index => ({ index, position: lowerBound(filteredLogs, index) }))
+      .filter(({ index, position }) => filteredLogs[position] === index)
+      .map(({ position }) => position)
+      .sort((a, b) => a - b);
+    if (positions.length === 0) return;
+    const current = cursor === null ? -1 : cursor;
+    const next = direction > 0
+      ? positions.find(p => p > current) ?? positions[0]
+      : [...positions].reverse().find(p => p < current) ?? positions[positions.length - 1];
+    moveCursor(next);
+  };
+
+  // Entries for the side panel, in message order; bookmarks outside the parsed records last
+  const bookmarkEntries = useMemo(() => {
+    if (!showBookmarks) return [];
+    const indexOf = new Map([...bookmarkRows].map(([index, b]) => [b.key, index]));
+    return [...bookmarks.values()]
+      .map(bookmark => ({ bookmark, index: indexOf.has(bookmark.key) ? indexOf.get(bookmark.key) : null }))
+      .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity) || (a.bookmark.sec - b.bookmark.sec));
+  }, [showBookmarks, bookmarks, bookmarkRows, bookmarkRows.size]);
+
+  const exportBookmarks = () => {
+    const baseName = sourceFiles.length > 1 ? 'merged' : sourceFiles[0].name.replace(/\.dlt$/i, '');
+    downloadBlob(serializeBookmarks([...bookmarks.values()]), `${baseName}-bookmarks.json`, 'application/json');
+  };
+
+  // Imported bookmarks are all stored; those of other files show up when that file is opened
+  const importBookmarks = async (file) => {
+    try {
+      const imported = parseBookmarks(await file.text());
+      await saveBookmarks(imported);
+      const matching = imported.filter(b => fileHashes.includes(b.hash));
+      setBookmarks(current => new Map([...current, ...matching.map(b => [b.key, b])]));
+      if (imported.length > 0 && matching.length === 0) {
+        setError(`Imported ${imported.length} bookmarks, but none belong to the opened files.`);
+      }
+    } catch (err) {
+      setError(`Could not import bookmarks: ${err.message}`);
+    }
+  };
 
   return (
-    <div className="h-screen flex flex-col bg-slate-50 text-slate-900 overflow-hidden font-sans">
+    <div
+      className="h-screen flex flex-col bg-slate-50 text-slate-900 overflow-hidden font-sans"
+      onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false); }}
+      onDrop={handleDrop}
+    >
       <header className="bg-slate-900 text-white p-4 flex justify-between items-center shadow-lg z-20">
         <div className="flex items-center space-x-3">
           <div className="bg-blue-600 p-2 rounded-xl shadow-inner">
@@ -253,9 +1126,35 @@ export default function App() {
         </div>
         
         <div className="flex items-center space-x-4">
+          {catalog && (
+            <div className="flex items-center space-x-2 px-3 py-1 bg-blue-500/10 rounded-lg border border-blue-400/20 text-xs text-blue-200" title={[catalog.name, ...catalog.warnings].join('\n')}>
+              <BookOpen className="w-3.5 h-3.5" />
+              <span className="font-mono max-w-[12rem] truncate">{catalog.format} · {catalog.size.toLocaleString()} msgs</span>
+              <button onClick={removeCatalog} className="hover:text-white">
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          )}
+          <DecoderMenu entries={decoderEntries} onLoad={handleDecoderLoad} onChange={changeDecoders} />
           <label className="cursor-pointer bg-white/10 hover:bg-white/20 text-white px-4 py-2 rounded-lg transition text-sm font-medium border border-white/10">
-            Open File
-            <input type="file" onChange={handleFileUpload} className="hidden" accept=".dlt" />
+            Load FIBEX
+            <input type="file" onChange={handleCatalogUpload} className="hidden" accept=".xml,.fibex,.arxml" />
+          </label>
+          {sourceFiles.length > 0 && timeline.start > 0 && (
+            <button onClick={() => setShowRangeSelector(true)} className="flex items-center space-x-2 bg-white/10 hover:bg-white/20 text-white px-4 py-2 rounded-lg transition text-sm font-medium border border-white/10">
+              <Clock className="w-4 h-4" />
+              <span>Range</span>
+            </button>
+          )}
+          <LiveMenu disabled={live !== null && live.status !== 'closed'} onConnect={startLive} />
+          <ExportMenu viewCount={filteredCount} selectionCount={selectionCount} onExport={handleExport} />
+          <label className="cursor-pointer bg-white/10 hover:bg-white/20 text-white px-4 py-2 rounded-lg transition text-sm font-medium border border-white/10" title="Open one or more folders of .dlt files">
+            <FolderOpen className="w-4 h-4" />
+            <input type="file" onChange={handleFolderUpload} className="hidden" webkitdirectory="" />
+          </label>
+          <label className="cursor-pointer bg-white/10 hover:bg-white/20 text-white px-4 py-2 rounded-lg transition text-sm font-medium border border-white/10">
+            Open Files
+            <input type="file" onChange={handleFileUpload} className="hidden" accept=".dlt,.gz,.zip,.pcap,.pcapng" multiple />
           </label>
           <div className="px-3 py-1 bg-black/20 rounded font-mono text-[10px] text-slate-400 border border-white/5">
             {status}
@@ -264,70 +1163,309 @@ export default function App() {
       </header>
 
       <div className="bg-white border-b p-2 flex gap-4 items-center px-6 shadow-sm z-10">
-        <div className="relative flex-1 max-w-md">
-          <Search className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
-          <input 
-            type="text" 
-            placeholder="Search all records..." 
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="w-full pl-10 pr-4 py-2 text-sm bg-slate-100 border-none rounded-lg focus:ring-2 focus:ring-blue-500 transition-all outline-none"
-          />
-        </div>
+        <SearchBar
+          search={search}
+          onChange={setSearch}
+          error={searchQuery.error || searchProgress.error}
+          progress={searchQuery.active && searchProgress.searched < logCount ? searchProgress.searched / logCount : null}
+          hits={searchProgress.hits}
+          onStep={gotoMatch}
+        />
         <div className="h-6 w-px bg-slate-200" />
         <div className="flex items-center space-x-2">
           <span className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">Found</span>
           <span className="bg-blue-100 text-blue-700 px-2 py-0.5 rounded text-xs font-bold">
-            {filteredLogs.length.toLocaleString()}
+            {filteredCount.toLocaleString()}
           </span>
-          {searchTerm && (
-            <span className="text-[10px] text-slate-400 italic">of {logs.length.toLocaleString()} total</span>
+          {(filteringBySearch || compiledFilters.active || controlMode !== 'all' || zoom || hiddenSources.size > 0) && (
+            <span className="text-[10px] text-slate-400 italic">of {logCount.toLocaleString()} total</span>
+          )}
+        </div>
+        <button
+          onClick={() => setShowFilters(v => !v)}
+          className={`flex items-center space-x-1.5 px-3 py-1.5 rounded-lg text-xs font-bold transition ${showFilters || compiledFilters.active ? 'bg-blue-100 text-blue-700' : 'text-slate-500 hover:bg-slate-100'}`}
+        >
+          <Filter className="w-3.5 h-3.5" />
+          <span>Filters</span>
+          {filterSet.filters.length > 0 && (
+            <span className="bg-white/70 px-1.5 rounded">{filterSet.filters.filter(f => f.enabled).length}/{filterSet.filters.length}</span>
           )}
+        </button>
+        {problems.total > 0 && (
+          <button
+            onClick={() => setShowProblems(v => !v)}
+            className={`flex items-center space-x-1.5 px-3 py-1.5 rounded-lg text-xs font-bold transition ${showProblems ? 'bg-amber-100 text-amber-700' : 'text-amber-600 hover:bg-amber-50'}`}
+            title="Parts of the files that did not parse into complete messages"
+          >
+            <AlertTriangle className="w-3.5 h-3.5" />
+            <span>{problems.total.toLocaleString()} {problems.total === 1 ? 'problem' : 'problems'}</span>
+          </button>
+        )}
+        <button
+          onClick={() => setShowStats(true)}
+          disabled={!stats}
+          className="flex items-center space-x-1.5 px-3 py-1.5 rounded-lg text-xs font-bold transition text-slate-500 hover:bg-slate-100 disabled:opacity-40"
+          title="Message volume, rate and integrity checks"
+        >
+          <BarChart3 className="w-3.5 h-3.5" />
+          <span>Statistics</span>
+        </button>
+        <button
+          onClick={() => setShowSignals(v => !v)}
+          className={`flex items-center space-x-1.5 px-3 py-1.5 rounded-lg text-xs font-bold transition ${showSignals ? 'bg-blue-100 text-blue-700' : 'text-slate-500 hover:bg-slate-100'}`}
+          title="Plot numeric values extracted from the payloads"
+        >
+          <LineChart className="w-3.5 h-3.5" />
+          <span>Signals</span>
+        </button>
+        <div className="flex items-center">
+          <button
+            onClick={() => setShowBookmarks(v => !v)}
+            className={`flex items-center space-x-1.5 px-3 py-1.5 rounded-lg text-xs font-bold transition ${showBookmarks ? 'bg-blue-100 text-blue-700' : 'text-slate-500 hover:bg-slate-100'}`}
+          >
+            <Bookmark className="w-3.5 h-3.5" />
+            <span>Bookmarks</span>
+            {bookmarks.size > 0 && <span className="bg-white/70 px-1.5 rounded">{bookmarks.size}</span>}
+          </button>
+          <button onClick={() => gotoBookmark(-1)} disabled={bookmarkRows.size === 0} className="p-1 text-slate-400 hover:text-blue-600 disabled:opacity-40" title="Previous bookmark (Shift+F2)">
+            <ChevronUp className="w-4 h-4" />
+          </button>
+          <button onClick={() => gotoBookmark(1)} disabled={bookmarkRows.size === 0} className="p-1 text-slate-400 hover:text-blue-600 disabled:opacity-40" title="Next bookmark (F2)">
+            <ChevronDown className="w-4 h-4" />
+          </button>
+        </div>
+        <div className="flex items-center bg-slate-100 rounded-lg p-0.5 text-[10px] font-bold" title="Control messages (log level changes, get_log_info, ...)">
+          <span className="px-2 text-slate-400 uppercase tracking-widest">Control</span>
+          {[['all', 'Show'], ['hide', 'Hide'], ['only', 'Only']].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => setControlMode(mode)}
+              className={`px-2 py-1 rounded-md transition ${controlMode === mode ? 'bg-white text-purple-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <form onSubmit={handleGoTo} className="ml-auto relative">
+          <input
+            type="text"
+            placeholder="Go to # or time"
+            value={goToText}
+            onChange={(e) => setGoToText(e.target.value)}
+            className="w-44 pl-3 pr-8 py-1.5 text-xs font-mono bg-slate-100 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+          />
+          <button type="submit" className="absolute right-2 top-1.5 text-slate-400 hover:text-blue-600">
+            <CornerDownLeft className="w-3.5 h-3.5" />
+          </button>
+        </form>
+        <div className="flex items-center space-x-2">
+          <Clock className="w-4 h-4 text-slate-400" />
+          <select
+            value={timeMode}
+            onChange={(e) => setTimeMode(e.target.value)}
+            className="text-xs bg-slate-100 rounded-lg px-2 py-1.5 outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(TIME_MODES).map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
         </div>
       </div>
 
-      <main className="flex-1 overflow-hidden relative">
-        <div className="h-full overflow-auto custom-scrollbar bg-white" onScroll={handleScroll}>
-          <table className="w-full border-collapse text-left">
-            <thead className="sticky top-0 bg-slate-50 z-10 shadow-sm">
-              <tr className="text-slate-500 font-bold uppercase text-[10px] tracking-wider">
-                <th className="px-4 py-3 border-b w-16">#</th>
-                <th className="px-4 py-3 border-b w-28">Timestamp</th>
-                <th className="px-4 py-3 border-b w-24">ECU</th>
-                <th className="px-4 py-3 border-b w-24">App</th>
-                <th className="px-4 py-3 border-b">Payload</th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-slate-50 font-mono text-[11px]">
-              {displayLogs.map((log) => (
-                <tr key={log.id} onClick={() => setSelectedLog(log)} className="hover:bg-blue-50/50 cursor-pointer transition-colors group">
-                  <td className="px-4 py-2 text-slate-400 group-hover:text-blue-400">{log.id}</td>
-                  <td className="px-4 py-2 text-slate-500">{log.time}</td>
-                  <td className="px-4 py-2 font-bold text-slate-700">{log.ecu}</td>
-                  <td className="px-4 py-2 text-blue-600 font-semibold">{log.app}</td>
-                  <td className="px-4 py-2 text-slate-600 truncate max-w-2xl">{log.payload}</td>
-                </tr>
+      {sourceFiles.length > 1 && (
+        <SourceBar files={sourceFiles} counts={sourceCounts} hidden={hiddenSources} onToggle={toggleSource} />
+      )}
+
+      {live && (
+        <LiveBar
+          live={live}
+          captured={formatBytes(sourceFiles[0] ? sourceFiles[0].size : 0)}
+          onPause={toggleLivePause}
+          onFollow={() => setLive(current => ({ ...current, follow: !current.follow }))}
+          onSave={saveLive}
+          onDisconnect={() => liveWorkerRef.current && liveWorkerRef.current.postMessage({ type: 'close' })}
+          onDismiss={() => setLive(null)}
+        />
+      )}
+
+      {unpacking && (
+        <div className="bg-white border-b px-6 py-2 flex items-center space-x-4 text-xs">
+          <span className="font-bold text-slate-700 uppercase tracking-widest text-[10px] animate-pulse">Unpacking</span>
+          <div className="flex-1 h-2 bg-slate-100 rounded-full overflow-hidden">
+            {unpacking.fraction !== null && (
+              <div className="h-full bg-blue-600 transition-[width] duration-200" style={{ width: `${unpacking.fraction * 100}%` }} />
+            )}
+          </div>
+          <span className="font-mono text-slate-500 truncate max-w-md">{unpacking.name}</span>
+        </div>
+      )}
+
+      {progress && (
+        <div className="bg-white border-b px-6 py-2 flex items-center space-x-4 text-xs">
+          <span className="font-bold text-slate-700 uppercase tracking-widest text-[10px] animate-pulse">Parsing</span>
+          <div className="flex-1 h-2 bg-slate-100 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-blue-600 transition-[width] duration-200"
+              style={{ width: `${progress.total ? (progress.bytes / progress.total) * 100 : 0}%` }}
+            />
+          </div>
+          <span className="font-mono text-slate-500 whitespace-nowrap">
+            {formatBytes(progress.bytes)} / {formatBytes(progress.total)} · {progress.messages.toLocaleString()} messages
+          </span>
+          <button onClick={cancelParsing} className="flex items-center space-x-1 px-3 py-1 rounded-lg font-bold text-red-600 hover:bg-red-50 transition">
+            <Square className="w-3 h-3" fill="currentColor" />
+            <span>Cancel</span>
+          </button>
+        </div>
+      )}
+
+      {error && !showRangeSelector && (
+        <div className="bg-red-50 border-b border-red-100 px-6 py-2 flex items-center space-x-3 text-red-700 text-xs font-medium">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <span className="flex-1">{error}</span>
+          <button onClick={() => setError(null)} className="p-1 hover:bg-red-100 rounded-full">
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      )}
+
+      {histogram && histogram.messages > 0 && (
+        <div className="bg-white border-b px-6 py-2 flex items-start gap-4">
+          <div className="flex-1 min-w-0">
+            <TimelineChart
+              histogram={histogram}
+              split={histogramSplit}
+              from={histogram.start}
+              to={histogram.end}
+              height={32}
+              selection={zoom}
+              marker={cursorLog ? cursorLog.sec + cursorLog.usec / 1e6 : null}
+              onBrush={(start, end) => setZoom({ start, end })}
+              onClick={(sec) => jumpToTime(sec * 1e6)}
+            />
+          </div>
+          <div className="flex flex-col items-end gap-1 text-[10px]">
+            <select
+              value={histogramSplit}
+              onChange={(e) => setHistogramSplit(e.target.value)}
+              className="bg-slate-100 rounded-lg px-2 py-1 outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(HISTOGRAM_SPLITS).map(([split, label]) => (
+                <option key={split} value={split}>{label}</option>
               ))}
-            </tbody>
-          </table>
-          
-          {displayLogs.length < filteredLogs.length && (
-            <div className="p-8 text-center bg-slate-50/50">
-              <div className="flex items-center justify-center space-x-2 text-slate-400 text-xs animate-pulse">
-                <ChevronDown className="w-4 h-4" />
-                <span>Scroll to load more ({filteredLogs.length - displayLogs.length} left)</span>
-              </div>
-            </div>
-          )}
+            </select>
+            {zoom ? (
+              <button onClick={() => setZoom(null)} className="flex items-center space-x-1 px-2 py-0.5 rounded bg-blue-100 text-blue-700 font-bold font-mono">
+                <span>{formatAbsolute(zoom.start).slice(0, 8)}–{formatAbsolute(zoom.end + 1).slice(0, 8)}</span>
+                <X className="w-3 h-3" />
+              </button>
+            ) : indexProgress !== null ? (
+              <span className="text-slate-400 font-mono">Indexing {Math.round(indexProgress * 100)}%</span>
+            ) : (
+              <span className="text-slate-400">Drag to zoom</span>
+            )}
+          </div>
+        </div>
+      )}
 
-          {logs.length === 0 && !loading && (
-            <div className="h-full flex flex-col items-center justify-center text-slate-300 py-20">
+      <main className="flex-1 overflow-hidden relative flex">
+        <div className="h-full flex-1 min-w-0 relative">
+          <LogTable
+            count={filteredCount}
+            getRow={getRow}
+            cursor={cursor}
+            selection={selection}
+            onCursorChange={moveCursor}
+            onOpen={(position) => openDetails(getRow(position))}
+            timeMode={timeMode}
+            firstLog={firstLog}
+            sourceNames={sourceFiles.map(file => file.name)}
+            follow={live !== null && live.follow}
+            onFollowChange={(follow) => setLive(current => ({ ...current, follow }))}
+            bookmarks={bookmarkRows}
+            onToggleBookmark={(position) => toggleBookmark(filteredLogs[position])}
+            onNextBookmark={gotoBookmark}
+            highlight={searchQuery.active && searchQuery.columns.includes('payload') ? searchQuery.pattern : null}
+            isMatch={search.mode === 'find' ? isMatch : null}
+            onNextMatch={gotoMatch}
+          />
+
+          {logCount === 0 && !loading && !live && (
+            <div className="absolute inset-0 flex flex-col items-center justify-center text-slate-300 pointer-events-none">
               <FileText className="w-16 h-16 mb-2 opacity-20" />
-              <p className="text-sm font-medium">No records found. Open a .dlt file to begin.</p>
+              <p className="text-sm font-medium">No records found. Open or drop .dlt files to begin.</p>
             </div>
           )}
         </div>
 
+        {dragging && (
+          <div className="absolute inset-4 z-40 border-4 border-dashed border-blue-400 bg-blue-50/80 rounded-3xl flex flex-col items-center justify-center text-blue-600 pointer-events-none">
+            <FolderOpen className="w-12 h-12 mb-2" />
+            <p className="text-sm font-bold">Drop .dlt files or folders to merge them into one view</p>
+          </div>
+        )}
+
+        {showFilters && (
+          <FilterPanel
+            filterSet={filterSet}
+            invalid={compiledFilters.invalid}
+            onChange={setFilterSet}
+            onClose={() => setShowFilters(false)}
+            onError={setError}
+          />
+        )}
+
+        {showProblems && (
+          <ProblemPanel
+            problems={problems.list}
+            total={problems.total}
+            sourceNames={sourceFiles.map(f => f.name)}
+            onInspect={inspectProblem}
+            onClose={() => setShowProblems(false)}
+          />
+        )}
+
+        {showBookmarks && (
+          <BookmarkPanel
+            entries={bookmarkEntries}
+            activeKey={cursorLog && bookmarkRows.has(cursorLog.index) ? bookmarkRows.get(cursorLog.index).key : null}
+            disabled={!fileHashes.some(Boolean)}
+            onJump={(index) => {
+              setCursorIndex(index);
+              setAnchorIndex(index);
+            }}
+            onChange={updateBookmark}
+            onRemove={removeBookmark}
+            onExport={exportBookmarks}
+            onImport={importBookmarks}
+            onClose={() => setShowBookmarks(false)}
+          />
+        )}
+
+        {archiveOffer && (
+          <ArchivePicker
+            offered={archiveOffer.offered}
+            onOpen={(picked) => openArchiveEntries(archiveOffer.files, picked, archiveOffer.failures)}
+            onClose={() => openArchiveEntries(archiveOffer.files, [], archiveOffer.failures)}
+          />
+        )}
+
+        {showStats && stats && (
+          <StatsView
+            stats={stats}
+            problems={problems}
+            sourceNames={sourceFiles.map(f => f.name)}
+            onJump={(source, offset) => {
+              setShowStats(false);
+              // Live statistics count offsets from the start of the session
+              jumpToOffset(source, stats.live ? offset - captureRef.current.base : offset);
+            }}
+            onTime={(sec) => { setShowStats(false); jumpToTime(sec * 1e6); }}
+            onZoom={(start, end) => { setShowStats(false); setZoom({ start, end }); }}
+            onClose={() => setShowStats(false)}
+          />
+        )}
+
         {showRangeSelector && (
           <div className="absolute inset-0 z-50 bg-slate-900/90 backdrop-blur-sm flex items-center justify-center p-6 overflow-y-auto">
             <div className="bg-white rounded-3xl shadow-2xl max-w-2xl w-full p-8 my-auto">
@@ -338,7 +1476,7 @@ export default function App() {
                   </div>
                   <div>
                     <h2 className="text-2xl font-black text-slate-800 tracking-tight">Select Range</h2>
-                    <p className="text-sm text-slate-500">Parsing large files works best in chunks.</p>
+                    <p className="text-sm text-slate-500">Drag over the timeline to parse only a window of the opened files.</p>
                   </div>
                 </div>
                 <button onClick={() => setShowRangeSelector(false)} className="p-2 hover:bg-slate-100 rounded-full">
@@ -354,32 +1492,50 @@ export default function App() {
               )}
 
               <div className="space-y-8">
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between">
+                    <label className="text-[10px] font-bold text-slate-400 uppercase">
+                      Messages per second
+                      {indexProgress !== null && <span className="ml-2 normal-case text-blue-500">indexing {Math.round(indexProgress * 100)}%</span>}
+                    </label>
+                    <select
+                      value={histogramSplit}
+                      onChange={(e) => setHistogramSplit(e.target.value)}
+                      className="text-xs bg-slate-100 rounded-lg px-2 py-1 outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {Object.entries(HISTOGRAM_SPLITS).map(([split, label]) => (
+                        <option key={split} value={split}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <TimelineChart
+                    histogram={histogram}
+                    split={histogramSplit}
+                    from={timeline.start}
+                    to={timeline.end}
+                    height={120}
+                    selection={{ start: selectedStart, end: selectedEnd }}
+                    onBrush={(start, end) => { setSelectedStart(start); setSelectedEnd(end); }}
+                    onClick={(sec) => { setShowRangeSelector(false); jumpToTime(sec * 1e6); }}
+                    legend
+                  />
+                </div>
                 <div className="grid grid-cols-2 gap-8">
-                  <div className="space-y-4">
+                  <div className="space-y-1">
                     <label className="text-[10px] font-bold text-slate-400 uppercase">Start Time</label>
-                    <input 
-                      type="range" min={timeline.start} max={timeline.end} value={selectedStart}
-                      onChange={(e) => setSelectedStart(parseInt(e.target.value))}
-                      className="w-full h-2 bg-slate-100 rounded-full appearance-none cursor-pointer accent-blue-600"
-                    />
-                    <div className="font-mono text-xl font-bold text-slate-700">{formatTime(selectedStart)}</div>
+                    <div className="font-mono text-xl font-bold text-slate-700">{formatAbsolute(selectedStart)}</div>
                   </div>
-                  <div className="space-y-4">
+                  <div className="space-y-1 text-right">
                     <label className="text-[10px] font-bold text-slate-400 uppercase">End Time</label>
-                    <input 
-                      type="range" min={timeline.start} max={timeline.end} value={selectedEnd}
-                      onChange={(e) => setSelectedEnd(parseInt(e.target.value))}
-                      className="w-full h-2 bg-slate-100 rounded-full appearance-none cursor-pointer accent-red-600"
-                    />
-                    <div className="font-mono text-xl font-bold text-slate-700">{formatTime(selectedEnd)}</div>
+                    <div className="font-mono text-xl font-bold text-slate-700">{formatAbsolute(selectedEnd)}</div>
                   </div>
                 </div>
 
                 <div className="grid grid-cols-2 gap-4">
-                   <button onClick={() => startParsing(fileBuffer)} className="py-4 text-slate-500 font-bold hover:bg-slate-100 rounded-2xl transition">
+                   <button onClick={() => startParsing(sourceFiles)} className="py-4 text-slate-500 font-bold hover:bg-slate-100 rounded-2xl transition">
                     Parse Full File
                   </button>
-                  <button onClick={() => { if (selectedStart < selectedEnd) startParsing(fileBuffer, { start: selectedStart, end: selectedEnd }); }}
+                  <button onClick={() => { if (selectedStart <= selectedEnd) startParsing(sourceFiles, { start: selectedStart, end: selectedEnd }); }}
                     className="py-4 bg-blue-600 hover:bg-blue-700 text-white rounded-2xl font-bold shadow-xl shadow-blue-200 transition-all transform active:scale-95">
                     Confirm Range
                   </button>
@@ -389,13 +1545,6 @@ export default function App() {
           </div>
         )}
 
-        {loading && (
-          <div className="absolute inset-0 z-50 bg-white/80 backdrop-blur-[2px] flex flex-col items-center justify-center">
-            <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin mb-4" />
-            <p className="text-sm font-bold text-slate-800 animate-pulse uppercase tracking-widest text-center px-4">Parsing Binary Streams...</p>
-          </div>
-        )}
-
         {selectedLog && (
           <div className="fixed inset-0 z-[60] bg-black/40 backdrop-blur-sm flex items-center justify-center p-4">
             <div className="bg-white rounded-3xl shadow-2xl w-full max-w-2xl overflow-hidden flex flex-col max-h-[85vh]">
@@ -403,16 +1552,49 @@ export default function App() {
                 <div className="flex items-center space-x-2">
                   <Info className="w-4 h-4 text-blue-600" />
                   <h3 className="font-bold text-slate-800">Log Details</h3>
+                  {sourceFiles.length > 1 && (
+                    <span className="font-mono text-xs text-slate-400">{sourceFiles[selectedLog.source]?.name}</span>
+                  )}
+                  <div className="flex items-center bg-slate-200/60 rounded-lg p-0.5 text-[10px] font-bold ml-2">
+                    {[['details', 'Decoded'], ['bytes', 'Bytes']].map(([tab, label]) => (
+                      <button
+                        key={tab}
+                        onClick={() => setDetailTab(tab)}
+                        className={`px-2 py-1 rounded-md transition ${detailTab === tab ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
                 </div>
+                <button
+                  onClick={() => toggleBookmark(selectedLog.index)}
+                  disabled={!fileHashes[selectedLog.source]}
+                  className={`ml-auto mr-2 flex items-center space-x-1 px-3 py-1 rounded-lg text-xs font-bold transition disabled:opacity-40 ${bookmarkRows.has(selectedLog.index) ? 'bg-amber-100 text-amber-700' : 'text-slate-500 hover:bg-slate-200'}`}
+                >
+                  <Bookmark className="w-3.5 h-3.5" fill={bookmarkRows.has(selectedLog.index) ? 'currentColor' : 'none'} />
+                  <span>{bookmarkRows.has(selectedLog.index) ? 'Bookmarked' : 'Bookmark'}</span>
+                </button>
                 <button onClick={() => setSelectedLog(null)} className="p-1 hover:bg-slate-200 rounded-full transition">
                   <X className="w-5 h-5 text-slate-400" />
                 </button>
               </div>
+              {detailTab === 'bytes' ? (
+                <div className="p-6 overflow-auto custom-scrollbar">
+                  {selectedInspection
+                    ? <HexInspector bytes={selectedLog.bytes} inspection={selectedInspection} baseOffset={selectedLog.offset} />
+                    : <p className="text-xs text-slate-400 text-center py-6">Reading message bytes…</p>}
+                </div>
+              ) : (
               <div className="p-8 overflow-auto custom-scrollbar">
                 <div className="grid grid-cols-3 gap-4 mb-6">
-                   <div className="bg-slate-50 p-4 rounded-2xl">
+                   <div className="bg-slate-50 p-4 rounded-2xl col-span-2">
                     <span className="text-[10px] font-bold text-slate-400 uppercase block">Timestamp</span>
-                    <span className="font-mono font-bold text-slate-700">{selectedLog.time}</span>
+                    <span className="font-mono font-bold text-slate-700">{formatAbsolute(selectedLog.sec, selectedLog.usec, true)}</span>
+                   </div>
+                   <div className="bg-slate-50 p-4 rounded-2xl">
+                    <span className="text-[10px] font-bold text-slate-400 uppercase block">Uptime</span>
+                    <span className="font-mono font-bold text-slate-700">{selectedLog.uptime !== null ? `${formatUptime(selectedLog.uptime)} s` : '-'}</span>
                    </div>
                    <div className="bg-slate-50 p-4 rounded-2xl">
                     <span className="text-[10px] font-bold text-slate-400 uppercase block">ECU</span>
@@ -422,18 +1604,132 @@ export default function App() {
                     <span className="text-[10px] font-bold text-slate-400 uppercase block">App ID</span>
                     <span className="font-mono font-bold text-blue-600">{selectedLog.app}</span>
                    </div>
+                   <div className="bg-slate-50 p-4 rounded-2xl">
+                    <span className="text-[10px] font-bold text-slate-400 uppercase block">Context ID</span>
+                    <span className="font-mono font-bold text-teal-600">{selectedLog.ctx}</span>
+                   </div>
+                   <div className="bg-slate-50 p-4 rounded-2xl">
+                    <span className="text-[10px] font-bold text-slate-400 uppercase block">Type</span>
+                    <TypeBadge log={selectedLog} />
+                   </div>
+                   <div className="bg-slate-50 p-4 rounded-2xl">
+                    <span className="text-[10px] font-bold text-slate-400 uppercase block">Counter / Session</span>
+                    <span className="font-mono font-bold text-slate-700">{selectedLog.counter} / {selectedLog.session ?? '-'}</span>
+                   </div>
                 </div>
                 <div>
-                  <span className="text-[10px] font-bold text-slate-400 uppercase block mb-2">Message Payload</span>
+                  <span className="text-[10px] font-bold text-slate-400 uppercase block mb-2">
+                    Message Payload
+                    {selectedLog.messageId !== null && (
+                      <span className="ml-2 text-blue-500 normal-case">Non-verbose ID {selectedLog.messageId}</span>
+                    )}
+                  </span>
                   <div className="p-6 bg-slate-900 text-green-400 rounded-2xl font-mono text-xs leading-relaxed break-all border-4 border-slate-800 shadow-inner whitespace-pre-wrap">
                     {selectedLog.payload || "[No Readable Data]"}
                   </div>
                 </div>
+                {selectedLog.decoded && (
+                  <div className="mt-6">
+                    <span className="text-[10px] font-bold text-slate-400 uppercase block mb-2">
+                      Decoded by <span className="text-blue-500 normal-case">{selectedLog.decoded.decoder}</span>
+                    </span>
+                    <div className="border border-blue-100 rounded-2xl divide-y divide-blue-50 overflow-hidden">
+                      {selectedLog.decoded.fields.map((field, i) => (
+                        <div key={i} className="flex items-start gap-3 px-4 py-2 font-mono text-xs">
+                          <span className="text-slate-500">{field.name} =</span>
+                          <span className="text-slate-800 break-all flex-1 whitespace-pre-wrap">
+                            {typeof field.value === 'object' && field.value !== null ? JSON.stringify(field.value) : String(field.value)}
+                          </span>
+                          {field.unit && <span className="text-slate-400">{field.unit}</span>}
+                        </div>
+                      ))}
+                      {selectedLog.decoded.fields.length === 0 && (
+                        <div className="px-4 py-2 text-xs text-slate-400">No fields</div>
+                      )}
+                    </div>
+                  </div>
+                )}
+                {selectedLog.args && (
+                  <div className="mt-6">
+                    <span className="text-[10px] font-bold text-slate-400 uppercase block mb-2">
+                      Arguments ({selectedLog.args.length})
+                    </span>
+                    <div className="border border-slate-100 rounded-2xl divide-y divide-slate-100 overflow-hidden">
+                      {selectedLog.args.map((arg, i) => (
+                        <div key={i} className="flex items-start gap-3 px-4 py-2 font-mono text-xs">
+                          <span className="text-slate-300 w-6 text-right">{i + 1}</span>
+                          <span className="bg-blue-50 text-blue-600 px-1.5 py-0.5 rounded text-[10px] font-bold w-12 text-center">{arg.type}</span>
+                          {arg.name && <span className="text-slate-500">{arg.name} =</span>}
+                          <span className="text-slate-800 break-all flex-1 whitespace-pre-wrap">{formatArgumentValue(arg)}</span>
+                          {arg.unit && <span className="text-slate-400">{arg.unit}</span>}
+                        </div>
+                      ))}
+                    </div>
+                    {selectedLog.decodeError && (
+                      <div className="mt-2 flex items-center space-x-2 text-xs text-amber-600">
+                        <AlertTriangle className="w-4 h-4" />
+                        <span>{selectedLog.decodeError}</span>
+                      </div>
+                    )}
+                  </div>
+                )}
+                {!selectedLog.args && selectedLog.decodeError && (
+                  <div className="mt-4 flex items-center space-x-2 text-xs text-amber-600">
+                    <AlertTriangle className="w-4 h-4" />
+                    <span>{selectedLog.decodeError}</span>
+                  </div>
+                )}
+              </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {inspecting && (
+          <div className="fixed inset-0 z-[60] bg-black/40 backdrop-blur-sm flex items-center justify-center p-4">
+            <div className="bg-white rounded-3xl shadow-2xl w-full max-w-2xl overflow-hidden flex flex-col max-h-[85vh]">
+              <div className="p-4 border-b bg-slate-50 flex justify-between items-center">
+                <div className="flex items-center space-x-2 min-w-0">
+                  <Binary className="w-4 h-4 text-amber-500" />
+                  <h3 className="font-bold text-slate-800">Raw Bytes</h3>
+                  <span className="font-mono text-xs text-slate-400 truncate">
+                    {sourceFiles[inspecting.problem.source]?.name} @ 0x{inspecting.problem.offset.toString(16)}
+                  </span>
+                </div>
+                <button onClick={() => setInspecting(null)} className="p-1 hover:bg-slate-200 rounded-full transition">
+                  <X className="w-5 h-5 text-slate-400" />
+                </button>
+              </div>
+              <div className="p-6 overflow-auto custom-scrollbar space-y-4">
+                <p className="text-sm text-slate-700">{inspecting.problem.reason}</p>
+                <HexInspector
+                  bytes={inspecting.bytes}
+                  inspection={inspecting.inspection}
+                  baseOffset={inspecting.problem.offset}
+                />
               </div>
             </div>
           </div>
         )}
       </main>
+
+      {showSignals && (
+        <SignalPanel
+          signals={signals}
+          extraction={signalExtraction}
+          progress={signalProgress}
+          marker={cursorLog ? { storage: cursorLog.sec + cursorLog.usec / 1e6, uptime: cursorLog.uptime === null ? null : cursorLog.uptime / 1e4 } : null}
+          onChange={changeSignals}
+          onExtract={() => startSignals()}
+          onJump={(source, offset) => {
+            // Live extractions count offsets from the capture base at the time they ran
+            const { live: fromLive, base } = signalExtraction;
+            jumpToOffset(source, fromLive ? offset + base - captureRef.current.base : offset);
+          }}
+          onError={setError}
+          onClose={() => setShowSignals(false)}
+        />
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
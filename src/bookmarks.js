@@ -0,0 +1,82 @@
+// Bookmarks persisted in IndexedDB. A bookmark names a message by the content hash of its
+// file (SHA-256 of every byte, computed by the index pass) and its byte offset, so it
+// survives reloads, range parsing and merging with other files.
+const DB_NAME = 'dlt-turbo';
+const STORE = 'bookmarks';
+const FORMAT = 'dlt-turbo-bookmarks';
+
+export const BOOKMARK_COLORS = {
+  amber: '#f59e0b',
+  red: '#ef4444',
+  green: '#22c55e',
+  blue: '#3b82f6',
+  purple: '#a855f7',
+  slate: '#64748b'
+};
+
+export const bookmarkKey = (hash, offset) => `${hash}:${offset}`;
+
+let database = null;
+
+function openDatabase() {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('hash', 'hash');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return database;
+}
+
+// Runs `work(store)` in one transaction; resolves with the result of the request it returns
+async function transaction(mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = work(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function loadBookmarks(hashes) {
+  const lists = await Promise.all(hashes.map(hash =>
+    transaction('readonly', store => store.index('hash').getAll(hash))
+  ));
+  return lists.flat();
+}
+
+export function saveBookmarks(bookmarks) {
+  return transaction('readwrite', store => {
+    for (const bookmark of bookmarks) store.put(bookmark);
+  });
+}
+
+export function deleteBookmark(key) {
+  return transaction('readwrite', store => store.delete(key));
+}
+
+export function serializeBookmarks(bookmarks) {
+  return JSON.stringify({ format: FORMAT, version: 1, bookmarks }, null, 2);
+}
+
+// Accepts files written by serializeBookmarks; keys are rebuilt from hash and offset
+export function parseBookmarks(text) {
+  const data = JSON.parse(text);
+  if (!data || data.format !== FORMAT || !Array.isArray(data.bookmarks)) {
+    throw new Error('not a DLT Turbo bookmark file');
+  }
+  return data.bookmarks
+    .filter(b => typeof b.hash === 'string' && Number.isFinite(b.offset))
+    .map(b => ({
+      ...b,
+      key: bookmarkKey(b.hash, b.offset),
+      color: BOOKMARK_COLORS[b.color] ? b.color : 'amber',
+      note: typeof b.note === 'string' ? b.note : ''
+    }));
+}
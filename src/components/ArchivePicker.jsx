@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Archive, X } from 'lucide-react';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// DLT files found in the opened zip archives; `onOpen(picked)` gets the chosen ones of
+// `offered` ({ archive, entry } each), which are extracted only then
+export default function ArchivePicker({ offered, onOpen, onClose }) {
+  const [selected, setSelected] = useState(() => new Set(offered.map((_, i) => i)));
+  const archives = new Set(offered.map(item => item.archive)).size;
+
+  const toggle = (i) => setSelected(current => {
+    const next = new Set(current);
+    if (!next.delete(i)) next.add(i);
+    return next;
+  });
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/40 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-2xl overflow-hidden flex flex-col max-h-[80vh]">
+        <div className="p-4 border-b bg-slate-50 flex justify-between items-center">
+          <div className="flex items-center space-x-2">
+            <Archive className="w-4 h-4 text-blue-600" />
+            <h3 className="font-bold text-slate-800">Open from {archives > 1 ? `${archives} archives` : offered[0].archive.name}</h3>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-slate-200 rounded-full transition">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="px-4 py-2 border-b flex items-center space-x-3 text-[10px] font-bold uppercase text-slate-500">
+          <button onClick={() => setSelected(new Set(offered.map((_, i) => i)))} className="hover:text-blue-600">All</button>
+          <button onClick={() => setSelected(new Set())} className="hover:text-blue-600">None</button>
+          <span className="flex-1" />
+          <span>{selected.size} of {offered.length} selected</span>
+        </div>
+
+        <div className="flex-1 overflow-auto custom-scrollbar divide-y divide-slate-50">
+          {offered.map(({ archive, entry }, i) => (
+            <label key={i} className="flex items-center space-x-3 px-4 py-2 text-xs hover:bg-slate-50 cursor-pointer">
+              <input type="checkbox" checked={selected.has(i)} onChange={() => toggle(i)} className="accent-blue-600" />
+              <span className="flex-1 min-w-0 truncate font-mono text-slate-700" title={entry.name}>{entry.name}</span>
+              {archives > 1 && <span className="truncate max-w-[10rem] text-slate-400" title={archive.name}>{archive.name}</span>}
+              <span className="font-mono text-slate-400 w-20 text-right">{formatSize(entry.size)}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="p-4 border-t flex justify-end space-x-2">
+          <button onClick={onClose} className="px-4 py-2 rounded-xl text-sm font-bold text-slate-500 hover:bg-slate-100">Cancel</button>
+          <button
+            onClick={() => onOpen(offered.filter((_, i) => selected.has(i)))}
+            disabled={selected.size === 0}
+            className="px-4 py-2 rounded-xl text-sm font-bold bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40"
+          >
+            Open {selected.size === 1 ? '1 file' : `${selected.size} files`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
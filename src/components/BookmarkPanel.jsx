@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Bookmark, X, Trash2, Upload, Download } from 'lucide-react';
+import { BOOKMARK_COLORS } from '../bookmarks.js';
+import { formatAbsolute } from '../dlt/time.js';
+
+// The note is saved when the text area loses focus, not on every keystroke
+function BookmarkCard({ bookmark, index, active, onJump, onChange, onRemove }) {
+  const [note, setNote] = useState(bookmark.note);
+  const loaded = index !== null;
+
+  return (
+    <div
+      className={`rounded-xl border bg-white p-3 space-y-2 ${active ? 'ring-2 ring-blue-400' : ''} ${loaded ? '' : 'opacity-50'}`}
+      style={{ borderLeft: `4px solid ${BOOKMARK_COLORS[bookmark.color]}` }}
+    >
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => loaded && onJump(index)}
+          disabled={!loaded}
+          className="flex-1 min-w-0 text-left font-mono text-[10px] text-slate-500 hover:text-blue-600 truncate"
+          title={loaded ? 'Go to message' : 'Not in the parsed messages'}
+        >
+          {formatAbsolute(bookmark.sec, bookmark.usec, true)} · {bookmark.app}/{bookmark.ctx}
+        </button>
+        <button onClick={onRemove} className="p-1 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded">
+          <Trash2 className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      <div className="font-mono text-[11px] text-slate-700 truncate" title={bookmark.payload}>{bookmark.payload}</div>
+      <textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        onBlur={() => note !== bookmark.note && onChange({ ...bookmark, note })}
+        placeholder="Note"
+        rows={2}
+        className="w-full px-2 py-1 text-xs bg-slate-50 border border-slate-200 rounded focus:ring-2 focus:ring-blue-500 outline-none resize-y"
+      />
+      <div className="flex items-center space-x-1.5">
+        {Object.entries(BOOKMARK_COLORS).map(([name, color]) => (
+          <button
+            key={name}
+            onClick={() => onChange({ ...bookmark, color: name })}
+            className={`w-4 h-4 rounded-full ${bookmark.color === name ? 'ring-2 ring-offset-1 ring-slate-400' : ''}`}
+            style={{ backgroundColor: color }}
+            title={name}
+          />
+        ))}
+        <span className="flex-1" />
+        <span className="text-[10px] text-slate-400 truncate" title={bookmark.fileName}>{bookmark.fileName}</span>
+      </div>
+    </div>
+  );
+}
+
+// `entries` are { bookmark, index } in message order; index is the store index, or null
+// when the message is not among the parsed records (e.g. outside the parsed range)
+export default function BookmarkPanel({ entries, activeKey, disabled, onJump, onChange, onRemove, onExport, onImport, onClose }) {
+  const importJson = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <aside className="w-80 border-l bg-slate-50 flex flex-col h-full">
+      <div className="p-3 border-b bg-white flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Bookmark className="w-4 h-4 text-blue-600" />
+          <h3 className="font-bold text-sm text-slate-800">Bookmarks</h3>
+        </div>
+        <div className="flex items-center space-x-1">
+          <label className={`p-1.5 rounded text-slate-500 hover:bg-slate-100 ${disabled ? 'opacity-40 pointer-events-none' : 'cursor-pointer'}`} title="Import bookmarks (.json)">
+            <Upload className="w-3.5 h-3.5" />
+            <input type="file" accept=".json" onChange={importJson} className="hidden" disabled={disabled} />
+          </label>
+          <button onClick={onExport} disabled={entries.length === 0} className="p-1.5 rounded text-slate-500 hover:bg-slate-100 disabled:opacity-40" title="Export bookmarks (.json)">
+            <Download className="w-3.5 h-3.5" />
+          </button>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-full">
+            <X className="w-4 h-4 text-slate-400" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto custom-scrollbar p-3 space-y-3">
+        {entries.map(({ bookmark, index }) => (
+          <BookmarkCard
+            key={bookmark.key}
+            bookmark={bookmark}
+            index={index}
+            active={bookmark.key === activeKey}
+            onJump={onJump}
+            onChange={onChange}
+            onRemove={() => onRemove(bookmark)}
+          />
+        ))}
+        {entries.length === 0 && (
+          <p className="text-xs text-slate-400 text-center py-6">
+            {disabled ? 'Bookmarks need an opened file.' : 'No bookmarks. Press B on a row to add one, F2 / Shift+F2 to move between them.'}
+          </p>
+        )}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { Puzzle, Trash2, Upload } from 'lucide-react';
+
+// Loaded payload decoder files with their on/off switches. `entries` are persisted by the
+// caller; `onLoad(file)` validates and adds a file.
+export default function DecoderMenu({ entries, onLoad, onChange }) {
+  const [open, setOpen] = useState(false);
+  const enabled = entries.filter(entry => entry.enabled).length;
+
+  const loadFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onLoad(file);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(v => !v)}
+        className="flex items-center space-x-2 bg-white/10 hover:bg-white/20 text-white px-4 py-2 rounded-lg transition text-sm font-medium border border-white/10"
+      >
+        <Puzzle className="w-4 h-4" />
+        <span>Decoders</span>
+        {enabled > 0 && <span className="bg-blue-500 px-1.5 rounded text-[10px] font-bold">{enabled}</span>}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white text-slate-700 rounded-2xl shadow-2xl border border-slate-100 p-3 z-50 space-y-2">
+          {entries.map(entry => (
+            <div key={entry.id} className="flex items-center space-x-2 text-xs px-2 py-1.5 rounded-lg hover:bg-slate-50">
+              <input
+                type="checkbox"
+                checked={entry.enabled}
+                onChange={() => onChange(entries.map(e => (e.id === entry.id ? { ...e, enabled: !e.enabled } : e)))}
+                className="accent-blue-600"
+                title="Enable decoder"
+              />
+              <span className="flex-1 font-mono truncate" title={entry.fileName}>{entry.fileName}</span>
+              <button
+                onClick={() => onChange(entries.filter(e => e.id !== entry.id))}
+                className="p-1 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded"
+              >
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          ))}
+          {entries.length === 0 && (
+            <p className="text-xs text-slate-400 px-2 py-1">
+              A decoder is a JS module whose default export is <code className="font-mono">{'{ name, app, ctx, decode(message) }'}</code>, or an array of them.
+            </p>
+          )}
+          <label className="flex items-center justify-center space-x-2 w-full py-2 rounded-lg text-xs font-bold bg-slate-100 hover:bg-blue-600 hover:text-white transition cursor-pointer">
+            <Upload className="w-3.5 h-3.5" />
+            <span>Load decoder (.js)</span>
+            <input type="file" accept=".js,.mjs" onChange={loadFile} className="hidden" />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS } from '../dlt/export.js';
+
+export default function ExportMenu({ viewCount, selectionCount, onExport }) {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState('view');
+  const activeScope = selectionCount > 1 ? scope : 'view';
+
+  const scopes = [
+    { id: 'view', label: 'Filtered view', count: viewCount },
+    { id: 'selection', label: 'Selected rows', count: selectionCount }
+  ];
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(v => !v)}
+        disabled={viewCount === 0}
+        className="flex items-center space-x-2 bg-white/10 hover:bg-white/20 text-white px-4 py-2 rounded-lg transition text-sm font-medium border border-white/10 disabled:opacity-40"
+      >
+        <Download className="w-4 h-4" />
+        <span>Export</span>
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-60 bg-white text-slate-700 rounded-2xl shadow-2xl border border-slate-100 p-3 z-50 space-y-3">
+          <div className="space-y-1">
+            {scopes.map(s => (
+              <label key={s.id} className={`flex items-center space-x-2 text-xs px-2 py-1 rounded-lg ${s.id === 'selection' && selectionCount < 2 ? 'opacity-40' : 'cursor-pointer hover:bg-slate-50'}`}>
+                <input
+                  type="radio"
+                  name="export-scope"
+                  checked={activeScope === s.id}
+                  disabled={s.id === 'selection' && selectionCount < 2}
+                  onChange={() => setScope(s.id)}
+                  className="accent-blue-600"
+                />
+                <span className="flex-1">{s.label}</span>
+                <span className="font-mono text-slate-400">{s.count.toLocaleString()}</span>
+              </label>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                onClick={() => { setOpen(false); onExport(format, activeScope); }}
+                className="py-2 rounded-lg text-xs font-bold bg-slate-100 hover:bg-blue-600 hover:text-white transition"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
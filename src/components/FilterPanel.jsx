@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { Filter, X, Plus, Minus, Trash2, Save, Upload, Download } from 'lucide-react';
+import { LOG_LEVELS, MESSAGE_TYPES } from '../dlt/header.js';
+import { createFilter, emptyFilterSet, parseDlf, serializeDlf, FILTER_SETS_KEY } from '../dlt/filters.js';
+import { downloadBlob } from '../download.js';
+
+const loadSavedSets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(FILTER_SETS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const inputClass = "w-full px-2 py-1 text-xs font-mono bg-slate-50 border border-slate-200 rounded focus:ring-2 focus:ring-blue-500 outline-none";
+
+function FilterCard({ filter, invalid, onChange, onRemove }) {
+  const set = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    onChange({ ...filter, [field]: value });
+  };
+  const negative = filter.type === 'negative';
+
+  return (
+    <div className={`rounded-xl border p-3 space-y-2 ${filter.enabled ? 'bg-white' : 'bg-slate-50 opacity-60'} ${negative ? 'border-red-200' : 'border-emerald-200'}`}>
+      <div className="flex items-center space-x-2">
+        <input type="checkbox" checked={filter.enabled} onChange={set('enabled')} className="accent-blue-600" title="Enable filter" />
+        <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold uppercase ${negative ? 'bg-red-100 text-red-700' : 'bg-emerald-100 text-emerald-700'}`}>
+          {negative ? 'Exclude' : 'Include'}
+        </span>
+        <input value={filter.name} onChange={set('name')} placeholder="Name" className={`${inputClass} flex-1`} />
+        <button onClick={onRemove} className="p-1 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded">
+          <Trash2 className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        <input value={filter.ecu} onChange={set('ecu')} placeholder="ECU" maxLength={4} className={inputClass} />
+        <input value={filter.app} onChange={set('app')} placeholder="App ID" maxLength={4} className={inputClass} />
+        <input value={filter.ctx} onChange={set('ctx')} placeholder="Ctx ID" maxLength={4} className={inputClass} />
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        <select value={filter.maxLevel} onChange={(e) => onChange({ ...filter, maxLevel: parseInt(e.target.value, 10) })} className={inputClass} title="Least severe log level">
+          <option value={0}>Any level</option>
+          {LOG_LEVELS.map((level, i) => (
+            <option key={level} value={i + 1}>{i === 0 ? level : `${level} and above`}</option>
+          ))}
+        </select>
+        <select value={filter.minLevel} onChange={(e) => onChange({ ...filter, minLevel: parseInt(e.target.value, 10) })} className={inputClass} title="Most severe log level">
+          <option value={0}>Any severity</option>
+          {LOG_LEVELS.map((level, i) => (
+            <option key={level} value={i + 1}>{i === LOG_LEVELS.length - 1 ? level : `${level} and below`}</option>
+          ))}
+        </select>
+        <select value={filter.messageType} onChange={set('messageType')} className={inputClass}>
+          <option value="">Any type</option>
+          {MESSAGE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+      </div>
+      <input
+        value={filter.payload}
+        onChange={set('payload')}
+        placeholder={filter.regex ? "Payload regex" : "Payload text"}
+        className={`${inputClass} ${invalid ? 'border-red-400 bg-red-50' : ''}`}
+      />
+      <div className="flex items-center space-x-4 text-[10px] text-slate-500 font-medium">
+        <label className="flex items-center space-x-1 cursor-pointer">
+          <input type="checkbox" checked={filter.regex} onChange={set('regex')} className="accent-blue-600" />
+          <span>Regex</span>
+        </label>
+        <label className="flex items-center space-x-1 cursor-pointer">
+          <input type="checkbox" checked={filter.ignoreCase} onChange={set('ignoreCase')} className="accent-blue-600" />
+          <span>Ignore case</span>
+        </label>
+        {invalid && <span className="text-red-600">Invalid regex</span>}
+      </div>
+    </div>
+  );
+}
+
+export default function FilterPanel({ filterSet, invalid, onChange, onClose, onError }) {
+  const [savedSets, setSavedSets] = useState(loadSavedSets);
+
+  const persistSets = (sets) => {
+    setSavedSets(sets);
+    try {
+      localStorage.setItem(FILTER_SETS_KEY, JSON.stringify(sets));
+    } catch (err) {
+      onError(`Filter sets could not be saved for the next session: ${err.message}`);
+    }
+  };
+
+  const updateFilters = (filters) => onChange({ ...filterSet, filters });
+  const addFilter = (type) => updateFilters([...filterSet.filters, createFilter(type)]);
+
+  const saveSet = () => {
+    const name = filterSet.name.trim();
+    if (!name) return;
+    persistSets({ ...savedSets, [name]: { ...filterSet, name } });
+  };
+
+  const loadSet = (name) => {
+    const saved = savedSets[name];
+    if (!saved) return;
+    // Re-create filters so ids stay unique within this session
+    onChange({ ...saved, filters: saved.filters.map(({ id, ...fields }) => createFilter(fields.type, fields)) });
+  };
+
+  const deleteSet = () => {
+    const { [filterSet.name]: removed, ...rest } = savedSets;
+    if (removed) persistSets(rest);
+  };
+
+  const importDlf = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const filters = parseDlf(await file.text());
+      onChange({ ...filterSet, name: file.name.replace(/\.dlf$/i, ''), filters });
+    } catch (err) {
+      onError(`Could not import filters: ${err.message}`);
+    }
+  };
+
+  const exportDlf = () => {
+    downloadBlob(serializeDlf(filterSet.filters), `${filterSet.name || 'filters'}.dlf`, 'application/xml');
+  };
+
+  return (
+    <aside className="w-80 border-l bg-slate-50 flex flex-col h-full">
+      <div className="p-3 border-b bg-white flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Filter className="w-4 h-4 text-blue-600" />
+          <h3 className="font-bold text-sm text-slate-800">Filters</h3>
+        </div>
+        <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-full">
+          <X className="w-4 h-4 text-slate-400" />
+        </button>
+      </div>
+
+      <div className="p-3 border-b bg-white space-y-2">
+        <div className="flex space-x-2">
+          <input
+            value={filterSet.name}
+            onChange={(e) => onChange({ ...filterSet, name: e.target.value })}
+            placeholder="Filter set name"
+            className={`${inputClass} flex-1`}
+          />
+          <button onClick={saveSet} disabled={!filterSet.name.trim()} title="Save filter set" className="p-1.5 rounded bg-blue-600 text-white disabled:opacity-40">
+            <Save className="w-3.5 h-3.5" />
+          </button>
+          <button onClick={deleteSet} disabled={!savedSets[filterSet.name]} title="Delete saved set" className="p-1.5 rounded text-slate-500 hover:bg-red-50 hover:text-red-600 disabled:opacity-40">
+            <Trash2 className="w-3.5 h-3.5" />
+          </button>
+        </div>
+        <div className="flex space-x-2">
+          <select value="" onChange={(e) => loadSet(e.target.value)} className={`${inputClass} flex-1`}>
+            <option value="">Load saved set…</option>
+            {Object.keys(savedSets).sort().map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <button onClick={() => onChange(emptyFilterSet())} className="px-2 text-[10px] font-bold uppercase text-slate-500 hover:bg-slate-100 rounded">
+            New
+          </button>
+        </div>
+        <div className="flex items-center justify-between">
+          <div className="flex rounded-lg bg-slate-100 p-0.5 text-[10px] font-bold">
+            {['or', 'and'].map(mode => (
+              <button
+                key={mode}
+                onClick={() => onChange({ ...filterSet, mode })}
+                className={`px-2 py-1 rounded-md uppercase ${filterSet.mode === mode ? 'bg-white shadow text-blue-600' : 'text-slate-400'}`}
+                title={mode === 'or' ? 'Show messages matching any include filter' : 'Show messages matching all include filters'}
+              >
+                {mode}
+              </button>
+            ))}
+          </div>
+          <div className="flex space-x-1">
+            <label className="p-1.5 rounded text-slate-500 hover:bg-slate-100 cursor-pointer" title="Import DLT Viewer .dlf">
+              <Upload className="w-3.5 h-3.5" />
+              <input type="file" accept=".dlf,.xml" onChange={importDlf} className="hidden" />
+            </label>
+            <button onClick={exportDlf} disabled={filterSet.filters.length === 0} className="p-1.5 rounded text-slate-500 hover:bg-slate-100 disabled:opacity-40" title="Export as DLT Viewer .dlf">
+              <Download className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto custom-scrollbar p-3 space-y-3">
+        {filterSet.filters.map((filter, i) => (
+          <FilterCard
+            key={filter.id}
+            filter={filter}
+            invalid={invalid.includes(filter.id)}
+            onChange={(updated) => updateFilters(filterSet.filters.map((f, j) => (j === i ? updated : f)))}
+            onRemove={() => updateFilters(filterSet.filters.filter((_, j) => j !== i))}
+          />
+        ))}
+        {filterSet.filters.length === 0 && (
+          <p className="text-xs text-slate-400 text-center py-6">No filters. All messages are shown.</p>
+        )}
+      </div>
+
+      <div className="p-3 border-t bg-white grid grid-cols-2 gap-2">
+        <button onClick={() => addFilter('positive')} className="flex items-center justify-center space-x-1 py-2 rounded-lg text-xs font-bold bg-emerald-50 text-emerald-700 hover:bg-emerald-100">
+          <Plus className="w-3.5 h-3.5" />
+          <span>Include</span>
+        </button>
+        <button onClick={() => addFilter('negative')} className="flex items-center justify-center space-x-1 py-2 rounded-lg text-xs font-bold bg-red-50 text-red-700 hover:bg-red-100">
+          <Minus className="w-3.5 h-3.5" />
+          <span>Exclude</span>
+        </button>
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { SECTIONS } from '../dlt/inspect.js';
+
+const BYTES_PER_ROW = 16;
+// Longer regions (skipped garbage) are only dumped up to here
+const MAX_DUMP = 16 * 1024;
+
+const SECTION_COLORS = {
+  storage: 'bg-slate-200 text-slate-700',
+  standard: 'bg-blue-100 text-blue-800',
+  extra: 'bg-indigo-100 text-indigo-800',
+  extended: 'bg-teal-100 text-teal-800',
+  payload: 'bg-emerald-50 text-emerald-800',
+  unknown: 'bg-red-100 text-red-700'
+};
+
+const hex = (n, width) => n.toString(16).padStart(width, '0');
+
+// Hex / ASCII dump next to the field list of an inspected message; hovering a byte
+// highlights its field and the other way round. `baseOffset` is the file offset of bytes[0].
+export default function HexInspector({ bytes, inspection, baseOffset = 0 }) {
+  const [hovered, setHovered] = useState(null); // field index
+  const { fields, problems } = inspection;
+  const shown = Math.min(bytes.length, MAX_DUMP);
+
+  // Field index per byte, -1 where no field covers it
+  const owner = useMemo(() => {
+    const map = new Int32Array(shown).fill(-1);
+    fields.forEach((field, i) => map.fill(i, field.offset, Math.min(field.offset + field.length, shown)));
+    return map;
+  }, [fields, shown]);
+
+  const byteClass = (at) => {
+    const i = owner[at];
+    if (i === -1) return 'text-slate-400';
+    return `${SECTION_COLORS[fields[i].section]} ${i === hovered ? 'ring-1 ring-amber-500 !bg-amber-200' : ''}`;
+  };
+
+  const rows = [];
+  for (let start = 0; start < shown; start += BYTES_PER_ROW) {
+    const cells = [];
+    const chars = [];
+    for (let at = start; at < Math.min(start + BYTES_PER_ROW, shown); at++) {
+      const b = bytes[at];
+      const hover = { onMouseEnter: () => setHovered(owner[at] === -1 ? null : owner[at]), onMouseLeave: () => setHovered(null) };
+      cells.push(<span key={at} className={`px-0.5 rounded-sm ${byteClass(at)}`} {...hover}>{hex(b, 2)}</span>);
+      chars.push(<span key={at} className={`rounded-sm ${byteClass(at)}`} {...hover}>{b >= 32 && b <= 126 ? String.fromCharCode(b) : '.'}</span>);
+    }
+    rows.push(
+      <div key={start} className="flex gap-4">
+        <span className="text-slate-400 w-20 shrink-0">{hex(baseOffset + start, 8)}</span>
+        <span className="w-[26rem] shrink-0 flex flex-wrap gap-x-0.5">{cells}</span>
+        <span className="whitespace-pre">{chars}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {problems.length > 0 && (
+        <div className="space-y-1">
+          {problems.map((problem, i) => (
+            <div key={i} className="flex items-start space-x-2 text-xs text-amber-700 bg-amber-50 border border-amber-100 rounded-xl px-3 py-2">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              <span>{problem}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="p-4 bg-slate-50 rounded-2xl font-mono text-[11px] leading-5 overflow-x-auto custom-scrollbar">
+        {rows}
+        {bytes.length > shown && (
+          <div className="text-slate-400 mt-1">… {(bytes.length - shown).toLocaleString()} more bytes</div>
+        )}
+      </div>
+
+      {fields.length > 0 && (
+        <table className="w-full text-left text-xs font-mono border border-slate-100 rounded-2xl overflow-hidden">
+          <thead className="bg-slate-50 text-[10px] uppercase tracking-wider text-slate-400">
+            <tr>
+              <th className="px-3 py-1.5 w-14">Offset</th>
+              <th className="px-3 py-1.5 w-40">Field</th>
+              <th className="px-3 py-1.5">Raw</th>
+              <th className="px-3 py-1.5">Meaning</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {fields.map((field, i) => (
+              <tr
+                key={i}
+                onMouseEnter={() => setHovered(i)}
+                onMouseLeave={() => setHovered(null)}
+                className={i === hovered ? 'bg-amber-100' : ''}
+              >
+                <td className="px-3 py-1 text-slate-400">{field.offset}</td>
+                <td className="px-3 py-1">
+                  <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold ${SECTION_COLORS[field.section]}`} title={SECTIONS[field.section]}>{field.name}</span>
+                </td>
+                <td className="px-3 py-1 text-slate-500 whitespace-nowrap">{field.raw}</td>
+                <td className="px-3 py-1 text-slate-800 break-all">{field.meaning}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
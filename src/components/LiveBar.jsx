@@ -0,0 +1,52 @@
+import React from 'react';
+import { Pause, Play, ArrowDownToLine, Save, Square, X } from 'lucide-react';
+
+const STATUS_LABELS = { connecting: 'Connecting', open: 'Live', closed: 'Disconnected' };
+
+const buttonClass = (active) => `flex items-center space-x-1 px-3 py-1 rounded-lg font-bold transition ${active ? 'bg-blue-100 text-blue-700' : 'text-slate-500 hover:bg-slate-100'}`;
+
+export default function LiveBar({ live, captured, onPause, onFollow, onSave, onDisconnect, onDismiss }) {
+  const closed = live.status === 'closed';
+  return (
+    <div className="bg-white border-b px-6 py-2 flex items-center space-x-4 text-xs">
+      <span className={`flex items-center space-x-2 font-bold uppercase tracking-widest text-[10px] ${closed ? 'text-slate-400' : 'text-red-600'}`}>
+        <span className={`w-2 h-2 rounded-full ${closed ? 'bg-slate-300' : 'bg-red-600 animate-pulse'}`} />
+        <span>{STATUS_LABELS[live.status]}</span>
+      </span>
+      <span className="font-mono text-slate-500 truncate">{live.url}</span>
+      <span className="font-mono text-slate-400 whitespace-nowrap">
+        {live.messages.toLocaleString()} messages · {captured}
+        {live.dropped > 0 && ` · ${live.dropped.toLocaleString()} dropped`}
+        {live.skipped > 0 && ` · ${live.skipped.toLocaleString()} bytes out of sync`}
+      </span>
+      {closed && live.reason && <span className="text-red-600 truncate">{live.reason}</span>}
+      <div className="flex-1" />
+      {!closed && (
+        <>
+          <button onClick={onPause} className={buttonClass(live.paused)}>
+            {live.paused ? <Play className="w-3 h-3" /> : <Pause className="w-3 h-3" />}
+            <span>{live.paused ? `Resume${live.queued ? ` (${live.queued.toLocaleString()})` : ''}` : 'Pause'}</span>
+          </button>
+          <button onClick={onFollow} className={buttonClass(live.follow)} title="Keep the newest message in view">
+            <ArrowDownToLine className="w-3 h-3" />
+            <span>Auto-scroll</span>
+          </button>
+        </>
+      )}
+      <button onClick={onSave} className={buttonClass(false)} title="Save the captured messages as .dlt">
+        <Save className="w-3 h-3" />
+        <span>Save .dlt</span>
+      </button>
+      {closed ? (
+        <button onClick={onDismiss} className="p-1 text-slate-400 hover:bg-slate-100 rounded-full">
+          <X className="w-3.5 h-3.5" />
+        </button>
+      ) : (
+        <button onClick={onDisconnect} className="flex items-center space-x-1 px-3 py-1 rounded-lg font-bold text-red-600 hover:bg-red-50 transition">
+          <Square className="w-3 h-3" fill="currentColor" />
+          <span>Disconnect</span>
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Radio } from 'lucide-react';
+
+const LIVE_SETTINGS_KEY = 'dlt-turbo.live';
+const RING_LIMITS = [100000, 500000, 1000000, 5000000];
+
+const loadSettings = () => {
+  try {
+    return { url: 'ws://localhost:3490', ecu: 'LIVE', limit: 1000000, ...JSON.parse(localStorage.getItem(LIVE_SETTINGS_KEY)) };
+  } catch {
+    return { url: 'ws://localhost:3490', ecu: 'LIVE', limit: 1000000 };
+  }
+};
+
+const inputClass = "w-full px-2 py-1.5 text-xs font-mono bg-slate-50 border border-slate-200 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none";
+
+// Connection form for a WebSocket relay of a dlt-daemon TCP stream; the last settings are kept
+export default function LiveMenu({ disabled, onConnect }) {
+  const [open, setOpen] = useState(false);
+  const [settings, setSettings] = useState(loadSettings);
+  const set = (field) => (e) => setSettings({ ...settings, [field]: e.target.value });
+
+  const connect = (e) => {
+    e.preventDefault();
+    const next = { ...settings, url: settings.url.trim(), ecu: settings.ecu.trim() || 'LIVE', limit: Number(settings.limit) };
+    localStorage.setItem(LIVE_SETTINGS_KEY, JSON.stringify(next));
+    setOpen(false);
+    onConnect(next);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(v => !v)}
+        disabled={disabled}
+        className="flex items-center space-x-2 bg-white/10 hover:bg-white/20 text-white px-4 py-2 rounded-lg transition text-sm font-medium border border-white/10 disabled:opacity-40"
+      >
+        <Radio className="w-4 h-4" />
+        <span>Live</span>
+      </button>
+      {open && (
+        <form onSubmit={connect} className="absolute right-0 mt-2 w-72 bg-white text-slate-700 rounded-2xl shadow-2xl border border-slate-100 p-4 z-50 space-y-3">
+          <label className="block space-y-1">
+            <span className="text-[10px] font-bold text-slate-400 uppercase">WebSocket URL</span>
+            <input value={settings.url} onChange={set('url')} placeholder="ws://host:port" className={inputClass} autoFocus />
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block space-y-1">
+              <span className="text-[10px] font-bold text-slate-400 uppercase" title="Used when a message carries no ECU ID">Default ECU</span>
+              <input value={settings.ecu} onChange={set('ecu')} maxLength={4} className={inputClass} />
+            </label>
+            <label className="block space-y-1">
+              <span className="text-[10px] font-bold text-slate-400 uppercase" title="Oldest messages are dropped beyond this">Keep last</span>
+              <select value={settings.limit} onChange={set('limit')} className={inputClass}>
+                {RING_LIMITS.map(limit => <option key={limit} value={limit}>{limit.toLocaleString()}</option>)}
+              </select>
+            </label>
+          </div>
+          <button type="submit" disabled={!settings.url.trim()} className="w-full py-2 rounded-lg text-xs font-bold bg-blue-600 hover:bg-blue-700 text-white transition disabled:opacity-40">
+            Connect
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useRef } from 'react';
+import TypeBadge from './TypeBadge.jsx';
+import { formatRowTime, formatUptime } from '../dlt/time.js';
+import { BOOKMARK_COLORS } from '../bookmarks.js';
+import { matchRanges } from '../dlt/search.js';
+
+const ROW_HEIGHT = 28;
+const HEADER_HEIGHT = 36;
+// Browsers cap element heights (~17M px in Firefox); beyond this the scrollbar is scaled
+const MAX_SCROLL_HEIGHT = 10000000;
+
+function Highlighted({ text, pattern }) {
+  const ranges = pattern ? matchRanges(pattern, text) : [];
+  if (ranges.length === 0) return text;
+  const parts = [];
+  let at = 0;
+  for (const [start, end] of ranges) {
+    if (start > at) parts.push(text.slice(at, start));
+    parts.push(<mark key={start} className="bg-amber-200 text-slate-900 rounded-sm">{text.slice(start, end)}</mark>);
+    at = end;
+  }
+  if (at < text.length) parts.push(text.slice(at));
+  return parts;
+}
+
+// Windowed table: only the rows in view are mounted. Positions are indices into the
+// filtered view; `getRow(position)` materialises the record for one of them.
+// Shift+click / Shift+arrows extend the selection from the anchor row to the cursor.
+// With more than one source file, a Source column names the file of each row.
+// `follow` keeps the newest row in view (live capture) until the user scrolls or navigates.
+// `bookmarks` maps store indices to bookmarks; B toggles one on the cursor row, F2 / Shift+F2
+// move to the next / previous one.
+// `highlight` marks search matches in the payload; with `isMatch(index)` (find mode) matching
+// rows are tinted as well, and F3 / Shift+F3 step through them.
+export default function LogTable({ count, getRow, cursor, selection, onCursorChange, onOpen, timeMode, firstLog, sourceNames = [], follow = false, onFollowChange, bookmarks, onToggleBookmark, onNextBookmark, highlight = null, isMatch = null, onNextMatch }) {
+  const scrollRef = useRef(null);
+  const [viewport, setViewport] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    const observer = new ResizeObserver(() => setViewport(el.clientHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const bodyHeight = Math.max(0, viewport - HEADER_HEIGHT);
+  const visibleRows = Math.max(1, Math.floor(bodyHeight / ROW_HEIGHT));
+  const maxFirst = Math.max(0, count - visibleRows);
+  const virtualHeight = Math.min(count * ROW_HEIGHT, MAX_SCROLL_HEIGHT);
+  const scrollRange = Math.max(0, virtualHeight - bodyHeight);
+  const first = scrollRange > 0 ? Math.min(maxFirst, Math.round((scrollTop / scrollRange) * maxFirst)) : 0;
+
+  const scrollToFirst = (position) => {
+    if (!scrollRef.current) return;
+    scrollRef.current.scrollTop = maxFirst > 0 ? (position / maxFirst) * scrollRange : 0;
+  };
+
+  // Keep the cursor row in view when it moves (keyboard, go-to, or a filter change)
+  useEffect(() => {
+    if (cursor === null) return;
+    if (cursor < first) scrollToFirst(cursor);
+    else if (cursor >= first + visibleRows) scrollToFirst(cursor - visibleRows + 1);
+  }, [cursor, count]);
+
+  useEffect(() => {
+    if (follow) scrollToFirst(maxFirst);
+  }, [follow, count, maxFirst]);
+
+  const stopFollowing = () => {
+    if (follow) onFollowChange(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (count === 0) return;
+    const current = cursor ?? first;
+    const moves = {
+      ArrowDown: current + 1,
+      ArrowUp: current - 1,
+      PageDown: current + visibleRows,
+      PageUp: current - visibleRows,
+      Home: 0,
+      End: count - 1
+    };
+    if (e.key === 'Enter' && cursor !== null) {
+      e.preventDefault();
+      onOpen(cursor);
+    } else if ((e.key === 'b' || e.key === 'B') && cursor !== null && !e.ctrlKey && !e.metaKey) {
+      e.preventDefault();
+      onToggleBookmark(cursor);
+    } else if (e.key === 'F2') {
+      e.preventDefault();
+      stopFollowing();
+      onNextBookmark(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'F3') {
+      e.preventDefault();
+      stopFollowing();
+      onNextMatch(e.shiftKey ? -1 : 1);
+    } else if (e.key in moves) {
+      e.preventDefault();
+      stopFollowing();
+      onCursorChange(Math.max(0, Math.min(count - 1, moves[e.key])), e.shiftKey);
+    }
+  };
+
+  const showSource = sourceNames.length > 1;
+  const rows = [];
+  let prev = first > 0 ? getRow(first - 1) : null;
+  for (let p = first; p < Math.min(count, first + visibleRows + 1); p++) {
+    const log = getRow(p);
+    rows.push({ position: p, log, prev });
+    prev = log;
+  }
+
+  return (
+    <div
+      ref={scrollRef}
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      onWheel={(e) => { if (e.deltaY < 0) stopFollowing(); }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      className="h-full overflow-auto custom-scrollbar bg-white outline-none"
+    >
+      <div style={{ height: virtualHeight + HEADER_HEIGHT }}>
+        <div className="sticky top-0 overflow-hidden" style={{ height: viewport }}>
+          <table className="w-full border-collapse text-left table-fixed">
+            <thead className="bg-slate-50 shadow-sm">
+              <tr className="text-slate-500 font-bold uppercase text-[10px] tracking-wider" style={{ height: HEADER_HEIGHT }}>
+                <th className="px-4 border-b w-20">#</th>
+                {showSource && <th className="px-4 border-b w-32">Source</th>}
+                <th className="px-4 border-b w-36">Timestamp</th>
+                <th className="px-4 border-b w-24" title="ECU uptime from the standard header, in seconds">Uptime</th>
+                <th className="px-4 border-b w-14" title="Message counter">Cnt</th>
+                <th className="px-4 border-b w-20">ECU</th>
+                <th className="px-4 border-b w-24" title="Session ID">Session</th>
+                <th className="px-4 border-b w-20">App</th>
+                <th className="px-4 border-b w-20">Context</th>
+                <th className="px-4 border-b w-28">Type</th>
+                <th className="px-4 border-b">Payload</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-50 font-mono text-[11px]">
+              {rows.map(({ position, log, prev }) => {
+                const bookmark = bookmarks && bookmarks.get(log.index);
+                return (
+                  <tr
+                    key={log.id}
+                    onClick={(e) => { stopFollowing(); onCursorChange(position, e.shiftKey); }}
+                    onDoubleClick={() => onOpen(position)}
+                    style={{ height: ROW_HEIGHT, boxShadow: bookmark ? `inset 4px 0 0 ${BOOKMARK_COLORS[bookmark.color]}` : undefined }}
+                    title={bookmark && bookmark.note ? bookmark.note : undefined}
+                    className={`cursor-pointer select-none transition-colors group ${position === cursor ? 'bg-blue-100' : selection && position >= selection.from && position <= selection.to ? 'bg-blue-50' : isMatch && isMatch(log.index) ? 'bg-amber-50 hover:bg-amber-100/60' : 'hover:bg-blue-50/50'}`}
+                  >
+                    <td className="px-4 text-slate-400 group-hover:text-blue-400 truncate">{log.id}</td>
+                    {showSource && <td className="px-4 text-slate-500 truncate" title={sourceNames[log.source]}>{sourceNames[log.source]}</td>}
+                    <td className="px-4 text-slate-500 whitespace-nowrap">{formatRowTime(log, timeMode, firstLog, prev)}</td>
+                    <td className="px-4 text-slate-400 text-right">{formatUptime(log.uptime)}</td>
+                    <td className="px-4 text-slate-400 text-right">{log.counter}</td>
+                    <td className="px-4 font-bold text-slate-700 truncate">{log.ecu}</td>
+                    <td className="px-4 text-slate-400 truncate">{log.session ?? ''}</td>
+                    <td className="px-4 text-blue-600 font-semibold truncate">{log.app}</td>
+                    <td className="px-4 text-teal-600 font-semibold truncate">{log.ctx}</td>
+                    <td className="px-4"><TypeBadge log={log} /></td>
+                    <td className="px-4 text-slate-600 truncate whitespace-nowrap"><Highlighted text={log.payload} pattern={highlight} /></td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+import { AlertTriangle, X, Binary } from 'lucide-react';
+
+// Stretches of the opened files that did not parse into complete records. `total` counts
+// all of them; only the first `problems.length` are kept.
+export default function ProblemPanel({ problems, total, sourceNames, onInspect, onClose }) {
+  return (
+    <aside className="w-80 border-l bg-slate-50 flex flex-col h-full">
+      <div className="p-3 border-b bg-white flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <AlertTriangle className="w-4 h-4 text-amber-500" />
+          <h3 className="font-bold text-sm text-slate-800">Parse Problems</h3>
+          <span className="text-[10px] font-bold text-slate-400">{total.toLocaleString()}</span>
+        </div>
+        <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-full">
+          <X className="w-4 h-4 text-slate-400" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto custom-scrollbar p-3 space-y-2">
+        {problems.map((problem, i) => (
+          <div key={i} className="rounded-xl border border-amber-100 bg-white p-3 space-y-1">
+            <div className="flex items-center space-x-2 font-mono text-[10px] text-slate-400">
+              {sourceNames.length > 1 && <span className="truncate" title={sourceNames[problem.source]}>{sourceNames[problem.source]}</span>}
+              <span className="flex-1">@ 0x{problem.offset.toString(16)} ({problem.length.toLocaleString()} bytes)</span>
+              <button onClick={() => onInspect(problem)} className="p-1 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded" title="Inspect bytes">
+                <Binary className="w-3.5 h-3.5" />
+              </button>
+            </div>
+            <p className="text-xs text-slate-700">{problem.reason}</p>
+          </div>
+        ))}
+        {total > problems.length && (
+          <p className="text-xs text-slate-400 text-center py-2">… and {(total - problems.length).toLocaleString()} more</p>
+        )}
+        {total === 0 && (
+          <p className="text-xs text-slate-400 text-center py-6">Every byte parsed into a complete message.</p>
+        )}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Search, ChevronUp, ChevronDown, Columns } from 'lucide-react';
+import { SEARCH_COLUMNS } from '../dlt/search.js';
+
+const COLUMN_LABELS = { payload: 'Payload', ecu: 'ECU', app: 'App', ctx: 'Context' };
+
+const OPTIONS = [
+  { key: 'caseSensitive', label: 'Aa', title: 'Match case' },
+  { key: 'wholeWord', label: 'W', title: 'Whole words' },
+  { key: 'regex', label: '.*', title: 'Regular expression' }
+];
+
+// Search box with its options. In "filter" mode non-matching rows are hidden; in "find" mode
+// all rows stay and Enter / F3 (Shift for backwards) step through the matches.
+// `progress` is the share of records searched so far, or null when idle.
+export default function SearchBar({ search, onChange, error, progress, hits, onStep }) {
+  const [showColumns, setShowColumns] = useState(false);
+  const update = (fields) => onChange({ ...search, ...fields });
+
+  const toggleColumn = (name) => {
+    const columns = search.columns.includes(name)
+      ? search.columns.filter(c => c !== name)
+      : SEARCH_COLUMNS.filter(c => c === name || search.columns.includes(c));
+    update({ columns });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === 'F3') {
+      e.preventDefault();
+      onStep(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      update({ text: '' });
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 flex-1 max-w-2xl">
+      <div className="relative flex-1">
+        <Search className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
+        <input
+          type="text"
+          placeholder={search.columns.length === SEARCH_COLUMNS.length ? 'Search all records...' : `Search ${search.columns.map(c => COLUMN_LABELS[c]).join(', ') || 'nothing'}...`}
+          value={search.text}
+          onChange={(e) => update({ text: e.target.value })}
+          onKeyDown={handleKeyDown}
+          className={`w-full pl-10 pr-28 py-2 text-sm bg-slate-100 border-none rounded-lg focus:ring-2 transition-all outline-none ${error ? 'ring-2 ring-red-400 focus:ring-red-400' : 'focus:ring-blue-500'}`}
+          title={error || undefined}
+        />
+        <div className="absolute right-1.5 top-1.5 flex items-center space-x-0.5">
+          {OPTIONS.map(option => (
+            <button
+              key={option.key}
+              onClick={() => update({ [option.key]: !search[option.key] })}
+              title={option.title}
+              className={`w-7 h-6 rounded font-mono text-[11px] font-bold transition ${search[option.key] ? 'bg-blue-600 text-white' : 'text-slate-400 hover:bg-slate-200'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <div className="relative">
+            <button
+              onClick={() => setShowColumns(v => !v)}
+              title="Columns to search"
+              className={`w-7 h-6 rounded flex items-center justify-center transition ${search.columns.length < SEARCH_COLUMNS.length ? 'bg-blue-100 text-blue-700' : 'text-slate-400 hover:bg-slate-200'}`}
+            >
+              <Columns className="w-3.5 h-3.5" />
+            </button>
+            {showColumns && (
+              <div className="absolute right-0 mt-2 w-40 bg-white text-slate-700 rounded-xl shadow-2xl border border-slate-100 p-2 z-50">
+                {SEARCH_COLUMNS.map(name => (
+                  <label key={name} className="flex items-center space-x-2 text-xs px-2 py-1 rounded-lg cursor-pointer hover:bg-slate-50">
+                    <input
+                      type="checkbox"
+                      checked={search.columns.includes(name)}
+                      onChange={() => toggleColumn(name)}
+                      className="accent-blue-600"
+                    />
+                    <span>{COLUMN_LABELS[name]}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+        {progress !== null && (
+          <div className="absolute left-2 right-2 bottom-0 h-0.5 bg-slate-200 rounded overflow-hidden">
+            <div className="h-full bg-blue-500" style={{ width: `${progress * 100}%` }} />
+          </div>
+        )}
+      </div>
+      <div className="flex items-center bg-slate-100 rounded-lg p-0.5 text-[10px] font-bold" title="Hide non-matching rows, or only highlight matches">
+        {['filter', 'find'].map(mode => (
+          <button
+            key={mode}
+            onClick={() => update({ mode })}
+            className={`px-2 py-1 rounded-md capitalize transition ${search.mode === mode ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+          >
+            {mode}
+          </button>
+        ))}
+      </div>
+      {search.mode === 'find' && search.text && !error && (
+        <div className="flex items-center">
+          <span className="text-[10px] font-bold text-amber-700 bg-amber-100 px-2 py-0.5 rounded whitespace-nowrap">
+            {hits.toLocaleString()} {hits === 1 ? 'match' : 'matches'}
+          </span>
+          <button onClick={() => onStep(-1)} disabled={hits === 0} className="p-1 text-slate-400 hover:text-blue-600 disabled:opacity-40" title="Previous match (Shift+F3)">
+            <ChevronUp className="w-4 h-4" />
+          </button>
+          <button onClick={() => onStep(1)} disabled={hits === 0} className="p-1 text-slate-400 hover:text-blue-600 disabled:opacity-40" title="Next match (F3)">
+            <ChevronDown className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
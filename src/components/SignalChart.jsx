@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { lowerBound } from '../dlt/store.js';
+
+const CLICK_TOLERANCE = 4;
+// Clicks pick the nearest point within this many pixels
+const PICK_RADIUS = 12;
+const PADDING = 6;
+
+const formatValue = (v) => (Number.isInteger(v) ? String(v) : Math.abs(v) >= 1000 || Math.abs(v) < 0.01 ? v.toPrecision(4) : v.toFixed(3));
+
+// Line chart of one signal over [from, to] (seconds). `x` is ascending, `y` holds the values.
+// Dragging reports the brushed span through `onBrush(from, to)`; a click reports the index
+// of the nearest point through `onPick`. Dense stretches are drawn as per-pixel min/max.
+export default function SignalChart({ x, y, color, from, to, formatX, height = 96, marker, onBrush, onPick }) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [drag, setDrag] = useState(null);
+  const [hover, setHover] = useState(null);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    const observer = new ResizeObserver(() => setWidth(el.clientWidth));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const span = Math.max(1e-6, to - from);
+  const lo = Math.max(0, lowerBound(x, from) - 1);
+  const hi = Math.min(x.length, lowerBound(x, to) + 1);
+
+  // Value range of the visible points
+  const scale = useMemo(() => {
+    if (hi <= lo) return null;
+    let min = Infinity, max = -Infinity;
+    for (let i = lo; i < hi; i++) {
+      if (y[i] < min) min = y[i];
+      if (y[i] > max) max = y[i];
+    }
+    if (min === max) {
+      min -= 1;
+      max += 1;
+    }
+    return { min, max };
+  }, [y, lo, hi]);
+  const yOf = (v) => PADDING + (1 - (v - scale.min) / (scale.max - scale.min)) * (height - 2 * PADDING);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || width === 0) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+    if (!scale) return;
+    const px = (t) => ((t - from) / span) * width;
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    if (hi - lo > width * 2) {
+      // One vertical min/max stroke per pixel column, joined to the next column
+      let column = -1, cmin = 0, cmax = 0, started = false;
+      const flush = () => {
+        if (column < 0) return;
+        if (started) ctx.lineTo(column, yOf(cmin));
+        else ctx.moveTo(column, yOf(cmin));
+        ctx.lineTo(column, yOf(cmax));
+        started = true;
+      };
+      for (let i = lo; i < hi; i++) {
+        const c = Math.round(px(x[i]));
+        if (c !== column) {
+          flush();
+          column = c;
+          cmin = cmax = y[i];
+        } else {
+          if (y[i] < cmin) cmin = y[i];
+          if (y[i] > cmax) cmax = y[i];
+        }
+      }
+      flush();
+      ctx.stroke();
+    } else {
+      for (let i = lo; i < hi; i++) {
+        if (i === lo) ctx.moveTo(px(x[i]), yOf(y[i]));
+        else ctx.lineTo(px(x[i]), yOf(y[i]));
+      }
+      ctx.stroke();
+      if (hi - lo <= width / 4) {
+        for (let i = lo; i < hi; i++) ctx.fillRect(px(x[i]) - 1.5, yOf(y[i]) - 1.5, 3, 3);
+      }
+    }
+  }, [x, y, color, from, to, width, height, lo, hi, span, scale]);
+
+  const xOf = (t) => ((t - from) / span) * width;
+  const timeAt = (px) => from + (px / width) * span;
+  const pointer = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return { px: Math.max(0, Math.min(width, e.clientX - rect.left)), py: e.clientY - rect.top };
+  };
+
+  // Index of the point closest to the pointer, or null when none is within PICK_RADIUS
+  const nearest = ({ px, py }) => {
+    if (!scale) return null;
+    const first = lowerBound(x, timeAt(px - PICK_RADIUS));
+    const last = lowerBound(x, timeAt(px + PICK_RADIUS));
+    let best = null, bestDistance = PICK_RADIUS * PICK_RADIUS;
+    for (let i = first; i < last; i++) {
+      const dx = xOf(x[i]) - px;
+      const dy = yOf(y[i]) - py;
+      const distance = dx * dx + dy * dy;
+      if (distance <= bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const { px } = pointer(e);
+    setDrag({ x0: px, x1: px });
+  };
+
+  const handlePointerMove = (e) => {
+    const p = pointer(e);
+    setHover({ ...p, index: drag ? null : nearest(p) });
+    if (drag) setDrag({ ...drag, x1: p.px });
+  };
+
+  const handlePointerUp = (e) => {
+    if (!drag) return;
+    const { x0, x1 } = drag;
+    setDrag(null);
+    if (Math.abs(x1 - x0) >= CLICK_TOLERANCE) {
+      onBrush(timeAt(Math.min(x0, x1)), timeAt(Math.max(x0, x1)));
+      return;
+    }
+    const index = nearest(pointer(e));
+    if (index !== null) onPick(index);
+  };
+
+  const hoverIndex = hover ? hover.index : null;
+
+  return (
+    <div className="select-none">
+      <div
+        ref={containerRef}
+        className={`relative bg-slate-50 rounded ${hoverIndex !== null ? 'cursor-pointer' : 'cursor-crosshair'}`}
+        style={{ height }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={() => setHover(null)}
+      >
+        <canvas ref={canvasRef} style={{ width, height }} className="absolute inset-0" />
+        {scale && (
+          <>
+            <span className="absolute top-0.5 left-1 text-[9px] font-mono text-slate-400 pointer-events-none">{formatValue(scale.max)}</span>
+            <span className="absolute bottom-0.5 left-1 text-[9px] font-mono text-slate-400 pointer-events-none">{formatValue(scale.min)}</span>
+          </>
+        )}
+        {drag && Math.abs(drag.x1 - drag.x0) >= CLICK_TOLERANCE && (
+          <div
+            className="absolute inset-y-0 bg-blue-500/25 pointer-events-none"
+            style={{ left: Math.min(drag.x0, drag.x1), width: Math.abs(drag.x1 - drag.x0) }}
+          />
+        )}
+        {marker !== null && marker !== undefined && marker >= from && marker <= to && (
+          <div className="absolute inset-y-0 w-px bg-red-500 pointer-events-none" style={{ left: xOf(marker) }} />
+        )}
+        {hoverIndex !== null && scale && (
+          <>
+            <div
+              className="absolute w-2 h-2 -ml-1 -mt-1 rounded-full border-2 border-white pointer-events-none"
+              style={{ left: xOf(x[hoverIndex]), top: yOf(y[hoverIndex]), backgroundColor: color }}
+            />
+            <div
+              className="absolute top-1 px-1.5 py-0.5 bg-slate-800 text-white rounded text-[10px] font-mono whitespace-nowrap pointer-events-none z-10"
+              style={{ left: Math.min(xOf(x[hoverIndex]) + 8, Math.max(0, width - 180)) }}
+            >
+              {formatX(x[hoverIndex])} · {formatValue(y[hoverIndex])}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
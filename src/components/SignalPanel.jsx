@@ -0,0 +1,236 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { LineChart, X, Plus, Trash2, Upload, Download, RefreshCw, ZoomOut } from 'lucide-react';
+import SignalChart from './SignalChart.jsx';
+import { createSignal, compileSignals, parseSignals, serializeSignals } from '../dlt/signals.js';
+import { formatAbsolute, formatUptime } from '../dlt/time.js';
+import { downloadBlob } from '../download.js';
+
+const AXES = { storage: 'Storage time', uptime: 'ECU timestamp' };
+
+const inputClass = "w-full px-2 py-1 text-xs font-mono bg-slate-50 border border-slate-200 rounded focus:ring-2 focus:ring-blue-500 outline-none";
+
+const formatStorage = (t) => {
+  const sec = Math.floor(t);
+  return formatAbsolute(sec, Math.min(999999, Math.round((t - sec) * 1e6)));
+};
+const formatTick = (t) => formatUptime(Math.round(t * 1e4));
+
+// Points of a series ordered along the chosen time axis; records without an ECU timestamp
+// have none on that axis. `point` maps back to the series' source and offset.
+function plotted(series, axis) {
+  const times = axis === 'uptime' ? series.uptime : series.time;
+  const order = [];
+  for (let i = 0; i < series.count; i++) if (!Number.isNaN(times[i])) order.push(i);
+  order.sort((a, b) => times[a] - times[b] || a - b);
+  const point = Uint32Array.from(order);
+  return { x: Float64Array.from(order, i => times[i]), y: Float64Array.from(order, i => series.value[i]), point };
+}
+
+function SignalRow({ signal, invalid, onChange, onRemove }) {
+  const set = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    onChange({ ...signal, [field]: value });
+  };
+
+  return (
+    <div className={`rounded-xl border border-slate-200 p-2 space-y-1.5 ${signal.enabled ? 'bg-white' : 'bg-slate-50 opacity-60'}`}>
+      <div className="flex items-center space-x-2">
+        <input type="checkbox" checked={signal.enabled} onChange={set('enabled')} className="accent-blue-600" title="Plot this signal" />
+        <input type="color" value={signal.color} onChange={set('color')} className="w-4 h-4 rounded cursor-pointer bg-transparent" title="Line colour" />
+        <input value={signal.name} onChange={set('name')} placeholder="Name" className={`${inputClass} flex-1`} />
+        <button onClick={onRemove} className="p-1 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded">
+          <Trash2 className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      <div className="grid grid-cols-[5.5rem_1fr] gap-1.5">
+        <select value={signal.kind} onChange={set('kind')} className={inputClass}>
+          <option value="regex">Regex</option>
+          <option value="argument">Argument</option>
+        </select>
+        {signal.kind === 'regex' ? (
+          <input
+            value={signal.pattern}
+            onChange={set('pattern')}
+            placeholder="speed=([\d.]+)"
+            className={`${inputClass} ${invalid ? 'border-red-400 bg-red-50' : ''}`}
+            title="The first capture group (or the whole match) is read as a number"
+          />
+        ) : (
+          <input
+            type="number"
+            min={1}
+            value={signal.argument}
+            onChange={(e) => onChange({ ...signal, argument: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            className={inputClass}
+            title="Verbose argument number, starting at 1"
+          />
+        )}
+      </div>
+      <div className="grid grid-cols-2 gap-1.5">
+        <input value={signal.app} onChange={set('app')} placeholder="App ID" maxLength={4} className={inputClass} />
+        <input value={signal.ctx} onChange={set('ctx')} placeholder="Ctx ID" maxLength={4} className={inputClass} />
+      </div>
+    </div>
+  );
+}
+
+// Signal definitions on the left, one chart per extracted signal on the right. The charts
+// share one zoomed time span; a click on a point calls `onJump(source, offset)`.
+// `extraction` is { series, stale } from the last run, `progress` its progress while running.
+export default function SignalPanel({ signals, extraction, progress, marker, onChange, onExtract, onJump, onError, onClose }) {
+  const [axis, setAxis] = useState('storage');
+  const [view, setView] = useState(null);
+  const invalid = useMemo(() => compileSignals(signals).invalid, [signals]);
+
+  // Sorting is the expensive part, so it does not depend on the (often edited) definitions
+  const plots = useMemo(() => (extraction ? extraction.series.map(series => ({ series, ...plotted(series, axis) })) : []), [extraction, axis]);
+  const charts = useMemo(() => {
+    const byId = new Map(signals.map(s => [s.id, s]));
+    return plots.filter(plot => byId.has(plot.series.id)).map(plot => ({ ...plot, signal: byId.get(plot.series.id) }));
+  }, [plots, signals]);
+
+  const extent = useMemo(() => {
+    let from = Infinity, to = -Infinity;
+    for (const { x } of charts) {
+      if (x.length === 0) continue;
+      from = Math.min(from, x[0]);
+      to = Math.max(to, x[x.length - 1]);
+    }
+    return from <= to ? { from, to: Math.max(to, from + 1) } : null;
+  }, [charts]);
+
+  useEffect(() => setView(null), [extraction, axis]);
+
+  const shown = view || extent;
+
+  const importSignals = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onChange([...signals, ...parseSignals(await file.text())]);
+    } catch (err) {
+      onError(`Could not import signals: ${err.message}`);
+    }
+  };
+
+  return (
+    <section className="h-80 border-t bg-white flex">
+      <div className="w-80 border-r bg-slate-50 flex flex-col">
+        <div className="p-3 border-b bg-white flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <LineChart className="w-4 h-4 text-blue-600" />
+            <h3 className="font-bold text-sm text-slate-800">Signals</h3>
+          </div>
+          <div className="flex items-center space-x-1">
+            <label className="p-1.5 rounded text-slate-500 hover:bg-slate-100 cursor-pointer" title="Import signal definitions">
+              <Upload className="w-3.5 h-3.5" />
+              <input type="file" accept=".json" onChange={importSignals} className="hidden" />
+            </label>
+            <button
+              onClick={() => downloadBlob(serializeSignals(signals), 'signals.json', 'application/json')}
+              disabled={signals.length === 0}
+              className="p-1.5 rounded text-slate-500 hover:bg-slate-100 disabled:opacity-40"
+              title="Export signal definitions"
+            >
+              <Download className="w-3.5 h-3.5" />
+            </button>
+            <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-full">
+              <X className="w-4 h-4 text-slate-400" />
+            </button>
+          </div>
+        </div>
+        <div className="flex-1 overflow-auto custom-scrollbar p-2 space-y-2">
+          {signals.map((signal, i) => (
+            <SignalRow
+              key={signal.id}
+              signal={signal}
+              invalid={invalid.includes(signal.id)}
+              onChange={(updated) => onChange(signals.map((s, j) => (j === i ? updated : s)))}
+              onRemove={() => onChange(signals.filter((_, j) => j !== i))}
+            />
+          ))}
+          {signals.length === 0 && (
+            <p className="text-xs text-slate-400 text-center py-6">Define a signal to plot numbers logged in the payloads.</p>
+          )}
+        </div>
+        <div className="p-2 border-t bg-white grid grid-cols-2 gap-2">
+          <button onClick={() => onChange([...signals, createSignal()])} className="flex items-center justify-center space-x-1 py-1.5 rounded-lg text-xs font-bold bg-slate-100 hover:bg-slate-200">
+            <Plus className="w-3.5 h-3.5" />
+            <span>Signal</span>
+          </button>
+          <button
+            onClick={onExtract}
+            disabled={progress !== null || !signals.some(s => s.enabled)}
+            className={`flex items-center justify-center space-x-1 py-1.5 rounded-lg text-xs font-bold disabled:opacity-40 ${extraction && extraction.stale ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-blue-50 text-blue-700 hover:bg-blue-100'}`}
+          >
+            <RefreshCw className={`w-3.5 h-3.5 ${progress !== null ? 'animate-spin' : ''}`} />
+            <span>{progress !== null ? `${Math.round(progress * 100)}%` : 'Extract'}</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 min-w-0 flex flex-col">
+        <div className="px-4 py-2 border-b flex items-center gap-3 text-[10px]">
+          <div className="flex items-center bg-slate-100 rounded-lg p-0.5 font-bold">
+            {Object.entries(AXES).map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setAxis(id)}
+                className={`px-2 py-1 rounded-md transition ${axis === id ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {view && (
+            <button onClick={() => setView(null)} className="flex items-center space-x-1 px-2 py-0.5 rounded bg-blue-100 text-blue-700 font-bold">
+              <ZoomOut className="w-3 h-3" />
+              <span>Show all</span>
+            </button>
+          )}
+          {extraction && extraction.stale && <span className="text-amber-600 font-medium">Definitions changed, extract again to update the charts</span>}
+          <span className="flex-1" />
+          {shown && (
+            <span className="font-mono text-slate-400">
+              {(axis === 'storage' ? formatStorage : formatTick)(shown.from)} – {(axis === 'storage' ? formatStorage : formatTick)(shown.to)}
+            </span>
+          )}
+        </div>
+        <div className="flex-1 overflow-auto custom-scrollbar px-4 py-2 space-y-3">
+          {charts.map(({ series, signal, x, y, point }) => (
+            <div key={series.id}>
+              <div className="flex items-center space-x-2 text-[10px] mb-0.5">
+                <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: signal.color }} />
+                <span className="font-bold text-slate-700">{signal.name || signal.pattern || `Argument ${signal.argument}`}</span>
+                <span className="font-mono text-slate-400">
+                  {x.length.toLocaleString()} points{series.total > series.count ? ` (first ${series.count.toLocaleString()} of ${series.total.toLocaleString()})` : ''}
+                </span>
+              </div>
+              {shown && x.length > 0 ? (
+                <SignalChart
+                  x={x}
+                  y={y}
+                  color={signal.color}
+                  from={shown.from}
+                  to={shown.to}
+                  formatX={axis === 'storage' ? formatStorage : formatTick}
+                  marker={marker && marker[axis]}
+                  onBrush={(from, to) => setView({ from, to })}
+                  onPick={(k) => onJump(series.source[point[k]], series.offset[point[k]])}
+                />
+              ) : (
+                <p className="text-xs text-slate-400 py-2">No values{axis === 'uptime' ? ' with an ECU timestamp' : ''}.</p>
+              )}
+            </div>
+          ))}
+          {!extraction && (
+            <p className="text-xs text-slate-400 text-center py-10">
+              {progress !== null ? 'Extracting…' : 'Extract the enabled signals to plot them.'}
+            </p>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
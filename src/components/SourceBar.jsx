@@ -0,0 +1,26 @@
+import React from 'react';
+import { Eye, EyeOff, Files } from 'lucide-react';
+
+// One chip per opened file; clicking a chip hides or shows that file's rows
+export default function SourceBar({ files, counts, hidden, onToggle }) {
+  return (
+    <div className="bg-white border-b px-6 py-2 flex items-center gap-2 overflow-x-auto custom-scrollbar">
+      <Files className="w-4 h-4 text-slate-400 flex-shrink-0" />
+      {files.map((file, source) => {
+        const visible = !hidden.has(source);
+        return (
+          <button
+            key={source}
+            onClick={() => onToggle(source)}
+            title={file.webkitRelativePath || file.name}
+            className={`flex items-center space-x-1.5 px-2.5 py-1 rounded-lg text-[11px] font-medium border transition whitespace-nowrap ${visible ? 'bg-blue-50 border-blue-100 text-blue-700' : 'bg-slate-50 border-slate-100 text-slate-400 line-through'}`}
+          >
+            {visible ? <Eye className="w-3 h-3" /> : <EyeOff className="w-3 h-3" />}
+            <span className="font-mono max-w-[14rem] truncate">{file.name}</span>
+            {counts && <span className="text-slate-400">{(counts[source] || 0).toLocaleString()}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+import React, { useMemo, useState } from 'react';
+import { BarChart3, X, ArrowRight } from 'lucide-react';
+import TimelineChart from './TimelineChart.jsx';
+import { LOG_LEVELS } from '../dlt/header.js';
+import { LEVEL_SLOTS } from '../dlt/histogram.js';
+import { GAP_SECONDS } from '../dlt/stats.js';
+import { formatAbsolute } from '../dlt/time.js';
+
+const GROUPINGS = { ecu: 'ECU', app: 'App', ctx: 'Context', level: 'Level' };
+const RATE_SPLITS = { ecu: 'By file', level: 'By level', none: 'All messages' };
+// Longer finding lists are cut off in the view
+const MAX_ROWS = 500;
+
+const levelLabel = (slot) => (slot === 0 ? 'other' : LOG_LEVELS[slot - 1]);
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+function volumeRows(groups, by) {
+  const rows = new Map();
+  const row = (key) => {
+    if (!rows.has(key)) rows.set(key, { key, count: 0, bytes: 0 });
+    return rows.get(key);
+  };
+  for (const g of groups) {
+    for (let slot = 0; slot < LEVEL_SLOTS; slot++) {
+      if (g.counts[slot] === 0) continue;
+      const r = row(by === 'level' ? levelLabel(slot) : by === 'ecu' ? g.ecu : by === 'app' ? g.app : `${g.app}/${g.ctx}`);
+      r.count += g.counts[slot];
+      r.bytes += g.bytes[slot];
+    }
+  }
+  return [...rows.values()].sort((a, b) => b.count - a.count);
+}
+
+function Finding({ time, onClick, children }) {
+  return (
+    <button onClick={onClick} className="w-full flex items-center gap-3 px-3 py-1.5 text-left font-mono text-[11px] hover:bg-blue-50 group">
+      <span className="text-slate-400 w-40 shrink-0">{time}</span>
+      <span className="flex-1 min-w-0 truncate text-slate-700">{children}</span>
+      <ArrowRight className="w-3.5 h-3.5 text-slate-300 group-hover:text-blue-600" />
+    </button>
+  );
+}
+
+function Section({ title, summary, total, shown, children }) {
+  return (
+    <div className="border border-slate-100 rounded-2xl overflow-hidden">
+      <div className="px-4 py-2 bg-slate-50 flex items-center justify-between">
+        <span className="text-[10px] font-bold text-slate-500 uppercase tracking-wider">{title}</span>
+        <span className={`text-xs font-bold ${total > 0 ? 'text-amber-600' : 'text-emerald-600'}`}>{summary}</span>
+      </div>
+      {total > 0 && (
+        <div className="max-h-56 overflow-auto custom-scrollbar divide-y divide-slate-50">
+          {children}
+          {total > shown && <p className="px-3 py-1.5 text-[11px] text-slate-400">… {(total - shown).toLocaleString()} more</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Statistics and integrity report of the parsed trace. Findings call `onJump(source, offset)`
+// with the file and byte offset of their record; corrupt regions jump to the record after them.
+// The rate chart reports clicked seconds through `onTime` and brushed windows through `onZoom`.
+export default function StatsView({ stats, problems, sourceNames, onJump, onTime, onZoom, onClose }) {
+  const [tab, setTab] = useState('volume');
+  const [groupBy, setGroupBy] = useState('app');
+  const [rateSplit, setRateSplit] = useState(sourceNames.length > 1 ? 'ecu' : 'level');
+
+  const rows = useMemo(() => volumeRows(stats.groups, groupBy), [stats, groupBy]);
+  const rate = useMemo(() => {
+    const { seconds, levels, start, end } = stats.rate;
+    let peak = 0, peakSec = 0;
+    for (let k = 0; k < seconds.length; k++) {
+      let sum = 0;
+      for (let slot = 0; slot < LEVEL_SLOTS; slot++) sum += levels[k * LEVEL_SLOTS + slot];
+      if (sum > peak) {
+        peak = sum;
+        peakSec = seconds[k];
+      }
+    }
+    return { peak, peakSec, average: seconds.length ? stats.messages / (end - start + 1) : 0 };
+  }, [stats]);
+
+  const fileOf = (source) => (sourceNames.length > 1 ? `${sourceNames[source]} · ` : '');
+  const { counterGaps, timeJumps } = stats;
+  const integrityIssues = counterGaps.total + timeJumps.total + problems.total;
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/40 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-4xl overflow-hidden flex flex-col max-h-[85vh]">
+        <div className="p-4 border-b bg-slate-50 flex justify-between items-center">
+          <div className="flex items-center space-x-2">
+            <BarChart3 className="w-4 h-4 text-blue-600" />
+            <h3 className="font-bold text-slate-800">Trace Statistics</h3>
+            <span className="font-mono text-xs text-slate-400">
+              {stats.messages.toLocaleString()} messages · {formatSize(stats.bytes)}
+            </span>
+            <div className="flex items-center bg-slate-200/60 rounded-lg p-0.5 text-[10px] font-bold ml-2">
+              {[['volume', 'Volume'], ['rate', 'Rate'], ['integrity', `Integrity${integrityIssues ? ` (${integrityIssues.toLocaleString()})` : ''}`]].map(([id, label]) => (
+                <button
+                  key={id}
+                  onClick={() => setTab(id)}
+                  className={`px-2 py-1 rounded-md transition ${tab === id ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-slate-200 rounded-full transition">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-auto custom-scrollbar space-y-4">
+          {tab === 'volume' && (
+            <>
+              <div className="flex items-center bg-slate-100 rounded-lg p-0.5 text-[10px] font-bold w-fit">
+                {Object.entries(GROUPINGS).map(([id, label]) => (
+                  <button
+                    key={id}
+                    onClick={() => setGroupBy(id)}
+                    className={`px-2 py-1 rounded-md transition ${groupBy === id ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <table className="w-full text-left text-xs font-mono">
+                <thead className="text-[10px] uppercase tracking-wider text-slate-400">
+                  <tr>
+                    <th className="px-3 py-1.5">{GROUPINGS[groupBy]}</th>
+                    <th className="px-3 py-1.5 text-right w-28">Messages</th>
+                    <th className="px-3 py-1.5 text-right w-20">Share</th>
+                    <th className="px-3 py-1.5 text-right w-24">Bytes</th>
+                    <th className="px-3 py-1.5 w-48" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-50">
+                  {rows.map(r => (
+                    <tr key={r.key}>
+                      <td className="px-3 py-1 font-bold text-slate-700">{r.key}</td>
+                      <td className="px-3 py-1 text-right">{r.count.toLocaleString()}</td>
+                      <td className="px-3 py-1 text-right text-slate-500">{((r.count / stats.messages) * 100).toFixed(1)}%</td>
+                      <td className="px-3 py-1 text-right text-slate-500">{formatSize(r.bytes)}</td>
+                      <td className="px-3 py-1">
+                        <div className="h-2 bg-blue-500 rounded" style={{ width: `${(r.count / rows[0].count) * 100}%` }} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {tab === 'rate' && (
+            <>
+              <div className="flex items-center gap-6 text-xs">
+                <div className="flex items-center bg-slate-100 rounded-lg p-0.5 text-[10px] font-bold">
+                  {Object.entries(RATE_SPLITS).map(([id, label]) => (
+                    <button
+                      key={id}
+                      onClick={() => setRateSplit(id)}
+                      className={`px-2 py-1 rounded-md transition ${rateSplit === id ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <span className="text-slate-500">Average <b className="font-mono text-slate-800">{rate.average.toFixed(1)}</b> msg/s</span>
+                <span className="text-slate-500">
+                  Peak <b className="font-mono text-slate-800">{rate.peak.toLocaleString()}</b> msg/s at <span className="font-mono">{formatAbsolute(rate.peakSec).slice(0, 8)}</span>
+                </span>
+              </div>
+              <TimelineChart
+                histogram={stats.rate}
+                split={rateSplit}
+                from={stats.rate.start}
+                to={stats.rate.end}
+                height={180}
+                onBrush={onZoom}
+                onClick={onTime}
+                legend
+              />
+              <p className="text-[11px] text-slate-400">Click to jump to a second, drag to show that window in the table.</p>
+            </>
+          )}
+
+          {tab === 'integrity' && (
+            <>
+              <Section
+                title="Message counter"
+                summary={counterGaps.total ? `${counterGaps.total.toLocaleString()} discontinuities, ~${counterGaps.lost.toLocaleString()} messages missing` : 'continuous'}
+                total={counterGaps.total}
+                shown={Math.min(counterGaps.list.length, MAX_ROWS)}
+              >
+                {counterGaps.list.slice(0, MAX_ROWS).map((f, i) => (
+                  <Finding key={i} time={formatAbsolute(f.sec, f.usec, true).slice(0, 23)} onClick={() => onJump(f.source, f.offset)}>
+                    {fileOf(f.source)}{f.ecu} session {f.session ?? '-'}: expected {f.expected}, got {f.counter} ({f.lost} missing)
+                  </Finding>
+                ))}
+              </Section>
+              <Section
+                title="Timestamps"
+                summary={timeJumps.total ? `${timeJumps.backwards.toLocaleString()} backwards, ${timeJumps.gaps.toLocaleString()} gaps ≥ ${GAP_SECONDS} s` : 'monotonic, no gaps'}
+                total={timeJumps.total}
+                shown={Math.min(timeJumps.list.length, MAX_ROWS)}
+              >
+                {timeJumps.list.slice(0, MAX_ROWS).map((f, i) => (
+                  <Finding key={i} time={formatAbsolute(f.sec, f.usec, true).slice(0, 23)} onClick={() => onJump(f.source, f.offset)}>
+                    {fileOf(f.source)}{f.kind === 'backwards' ? `jumps back ${(-f.seconds).toFixed(3)} s` : `${f.seconds.toFixed(3)} s without messages`}
+                  </Finding>
+                ))}
+              </Section>
+              <Section
+                title="Corrupt regions"
+                summary={problems.total ? `${problems.total.toLocaleString()} skipped or cut short` : 'none'}
+                total={problems.total}
+                shown={Math.min(problems.list.length, MAX_ROWS)}
+              >
+                {problems.list.slice(0, MAX_ROWS).map((p, i) => (
+                  <Finding key={i} time={`@ 0x${p.offset.toString(16)}`} onClick={() => onJump(p.source, p.offset)}>
+                    {fileOf(p.source)}{p.reason}
+                  </Finding>
+                ))}
+              </Section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { binHistogram } from '../dlt/histogram.js';
+import { LOG_LEVELS } from '../dlt/header.js';
+import { formatAbsolute } from '../dlt/time.js';
+
+const BAR_WIDTH = 3;
+const CLICK_TOLERANCE = 4;
+// Slot 0 (non-log messages) first, then fatal..verbose
+const LEVEL_COLORS = ['#a5b4fc', '#dc2626', '#f87171', '#fbbf24', '#34d399', '#94a3b8', '#cbd5e1'];
+const ECU_COLORS = ['#3b82f6', '#14b8a6', '#f59e0b', '#8b5cf6', '#ec4899', '#22c55e', '#ef4444', '#64748b'];
+
+const clock = (sec) => formatAbsolute(sec).slice(0, 8);
+
+const legendOf = (histogram, split) => {
+  if (split === 'level') return ['other', ...LOG_LEVELS].map((label, i) => ({ label, color: LEVEL_COLORS[i] }));
+  if (split === 'ecu') return histogram.ecuNames.map((label, i) => ({ label, color: ECU_COLORS[i % ECU_COLORS.length] }));
+  return [{ label: 'messages', color: ECU_COLORS[0] }];
+};
+
+// Stacked per-second message counts over from..to (whole seconds). Dragging reports the
+// brushed seconds through `onBrush(start, end)`, a plain click the second under the pointer
+// through `onClick`. `selection` ({ start, end }) and `marker` (fractional seconds) are drawn on top.
+export default function TimelineChart({ histogram, split, from, to, height = 40, selection, marker, onBrush, onClick, legend = false }) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const binnedRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [drag, setDrag] = useState(null);
+  const [hover, setHover] = useState(null);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    const observer = new ResizeObserver(() => setWidth(el.clientWidth));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const span = Math.max(1, to - from + 1);
+  const columns = Math.max(1, Math.min(Math.floor(width / BAR_WIDTH), span));
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || width === 0) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+    binnedRef.current = null;
+    if (!histogram || histogram.seconds.length === 0) return;
+
+    const binned = binHistogram(histogram, split, from, to, columns);
+    binnedRef.current = binned;
+    const colors = legendOf(histogram, split).map(s => s.color);
+    const columnWidth = width / columns;
+    for (let c = 0; c < columns; c++) {
+      let y = height;
+      for (let s = 0; s < binned.series; s++) {
+        const count = binned.counts[c * binned.series + s];
+        if (!count) continue;
+        const h = Math.max(1, (count / binned.max) * height);
+        ctx.fillStyle = colors[s];
+        ctx.fillRect(c * columnWidth, y - h, Math.max(1, columnWidth - 1), h);
+        y -= h;
+      }
+    }
+  }, [histogram, split, from, to, width, height, columns]);
+
+  const xOf = (sec) => ((sec - from) / span) * width;
+  const secAt = (x) => Math.min(to, Math.max(from, Math.floor(from + (x / width) * span)));
+  const pointerX = (e) => Math.max(0, Math.min(width, e.clientX - containerRef.current.getBoundingClientRect().left));
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const x = pointerX(e);
+    setDrag({ x0: x, x1: x });
+  };
+
+  const handlePointerMove = (e) => {
+    const x = pointerX(e);
+    setHover(x);
+    if (drag) setDrag({ ...drag, x1: x });
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    const { x0, x1 } = drag;
+    setDrag(null);
+    if (Math.abs(x1 - x0) < CLICK_TOLERANCE) onClick && onClick(secAt(x1));
+    else onBrush && onBrush(secAt(Math.min(x0, x1)), secAt(Math.max(x0, x1)));
+  };
+
+  const hoverColumn = hover === null ? null : Math.min(columns - 1, Math.floor((hover / width) * columns));
+  const hoverCount = hoverColumn !== null && binnedRef.current ? binnedRef.current.totals[hoverColumn] : 0;
+
+  return (
+    <div className="select-none">
+      <div
+        ref={containerRef}
+        className="relative cursor-crosshair bg-slate-50 rounded"
+        style={{ height }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={() => setHover(null)}
+      >
+        <canvas ref={canvasRef} style={{ width, height }} className="absolute inset-0" />
+        {selection && (
+          <div
+            className="absolute inset-y-0 bg-blue-500/15 border-x-2 border-blue-500 pointer-events-none"
+            style={{ left: xOf(selection.start), width: Math.max(2, xOf(selection.end + 1) - xOf(selection.start)) }}
+          />
+        )}
+        {drag && Math.abs(drag.x1 - drag.x0) >= CLICK_TOLERANCE && (
+          <div
+            className="absolute inset-y-0 bg-blue-500/25 pointer-events-none"
+            style={{ left: Math.min(drag.x0, drag.x1), width: Math.abs(drag.x1 - drag.x0) }}
+          />
+        )}
+        {marker !== null && marker !== undefined && marker >= from && marker < to + 1 && (
+          <div className="absolute inset-y-0 w-px bg-red-500 pointer-events-none" style={{ left: xOf(marker) }} />
+        )}
+        {hover !== null && !drag && (
+          <div
+            className="absolute -top-1 -translate-y-full px-1.5 py-0.5 bg-slate-800 text-white rounded text-[10px] font-mono whitespace-nowrap pointer-events-none z-10"
+            style={{ left: Math.min(hover, Math.max(0, width - 150)) }}
+          >
+            {formatAbsolute(secAt(hover), 0, true).slice(0, 19)} · {hoverCount.toLocaleString()}
+          </div>
+        )}
+      </div>
+      <div className="flex justify-between text-[9px] font-mono text-slate-400 mt-0.5">
+        <span>{clock(from)}</span>
+        {legend && histogram && (
+          <span className="flex items-center gap-3">
+            {legendOf(histogram, split).map(({ label, color }) => (
+              <span key={label} className="flex items-center gap-1">
+                <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: color }} />
+                {label}
+              </span>
+            ))}
+          </span>
+        )}
+        <span>{clock(to)}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React from 'react';
+import { messageTypeName, messageInfoName, MSTP_LOG } from '../dlt/header.js';
+
+const LEVEL_STYLES = {
+  fatal: 'bg-red-600 text-white',
+  error: 'bg-red-100 text-red-700',
+  warn: 'bg-amber-100 text-amber-700',
+  info: 'bg-emerald-50 text-emerald-700',
+  debug: 'bg-slate-100 text-slate-600',
+  verbose: 'bg-slate-50 text-slate-400'
+};
+const TYPE_STYLES = {
+  app_trace: 'bg-cyan-50 text-cyan-700',
+  nw_trace: 'bg-indigo-50 text-indigo-700',
+  control: 'bg-purple-50 text-purple-700'
+};
+
+// Log messages show their level, everything else "<type> <info>"
+const typeBadge = (log) => {
+  if (log.mstp === null) return { label: '-', className: 'text-slate-300' };
+  const info = messageInfoName(log.mstp, log.mtin);
+  if (log.mstp === MSTP_LOG) return { label: info, className: LEVEL_STYLES[info] || LEVEL_STYLES.verbose };
+  const type = messageTypeName(log.mstp);
+  return { label: `${type.replace('_', ' ')} ${info}`, className: TYPE_STYLES[type] || LEVEL_STYLES.verbose };
+};
+
+export default function TypeBadge({ log }) {
+  const { label, className } = typeBadge(log);
+  return <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold uppercase whitespace-nowrap ${className}`}>{label}</span>;
+}
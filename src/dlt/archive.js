@@ -0,0 +1,125 @@
+// Compressed inputs: gzip files and zip archives, unpacked in the browser with
+// DecompressionStream. Zip entries are listed from the central directory and only
+// extracted when picked.
+import { isStorageHeader } from './parser.js';
+
+const EOCD = 0x06054b50;
+const ZIP64_EOCD = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const CENTRAL_ENTRY = 0x02014b50;
+const LOCAL_ENTRY = 0x04034b50;
+const ZIP64_EXTRA = 0x0001;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x01;
+const FLAG_UTF8 = 0x0800;
+// End of central directory record plus the longest possible comment
+const EOCD_SEARCH = 22 + 0xffff;
+// A decompressed DLT file has a storage header within its first message, which is shorter
+// than this
+const HEADER_SEARCH = 64 * 1024 + 16;
+
+export const isGzip = (name) => /\.gz$/i.test(name);
+export const isZip = (name) => /\.zip$/i.test(name);
+export const isCapture = (name) => /\.(pcap|pcapng)$/i.test(name);
+// Zip entries worth offering: DLT files, gzipped or not
+export const isDltEntry = (name) => /\.dlt(\.gz)?$/i.test(name);
+
+const readBytes = async (blob, start, end) => new Uint8Array(await blob.slice(start, end).arrayBuffer());
+const view = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+const inflate = (blob, format) => new Response(blob.stream().pipeThrough(new DecompressionStream(format))).blob();
+
+// Decompresses a .gz file into a File named without the extension. Data without a "DLT\x01"
+// storage header near its start is refused; an empty file, or a rotated chunk that begins
+// in the middle of a message, is fine.
+export async function gunzip(file) {
+  const unpacked = await inflate(file, 'gzip');
+  const head = view(await readBytes(unpacked, 0, HEADER_SEARCH));
+  let found = head.byteLength === 0;
+  for (let at = 0; !found && at + 4 <= head.byteLength; at++) found = isStorageHeader(head, at);
+  if (!found) throw new Error('not a DLT trace (no "DLT\\x01" storage header after decompressing)');
+  return new File([unpacked], file.name.replace(/\.gz$/i, ''));
+}
+
+// Entries of a zip archive: { name, size, compressedSize, method, offset, encrypted }, directories left out
+export async function listZip(file) {
+  const tailStart = Math.max(0, file.size - EOCD_SEARCH);
+  const tail = await readBytes(file, tailStart, file.size);
+  const tv = view(tail);
+  let eocd = -1;
+  for (let at = tail.length - 22; at >= 0; at--) {
+    if (tv.getUint32(at, true) === EOCD) {
+      eocd = at;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('not a zip archive');
+
+  let count = tv.getUint16(eocd + 10, true);
+  let size = tv.getUint32(eocd + 12, true);
+  let offset = tv.getUint32(eocd + 16, true);
+  if ((count === 0xffff || size === 0xffffffff || offset === 0xffffffff) && eocd >= 20 && tv.getUint32(eocd - 20, true) === ZIP64_LOCATOR) {
+    const record = await readBytes(file, Number(tv.getBigUint64(eocd - 12, true)), file.size);
+    const rv = view(record);
+    if (rv.getUint32(0, true) === ZIP64_EOCD) {
+      count = Number(rv.getBigUint64(32, true));
+      size = Number(rv.getBigUint64(40, true));
+      offset = Number(rv.getBigUint64(48, true));
+    }
+  }
+
+  const directory = await readBytes(file, offset, offset + size);
+  const dv = view(directory);
+  const entries = [];
+  for (let at = 0, i = 0; i < count && at + 46 <= directory.length; i++) {
+    if (dv.getUint32(at, true) !== CENTRAL_ENTRY) throw new Error('corrupt zip directory');
+    const flags = dv.getUint16(at + 8, true);
+    const nameLength = dv.getUint16(at + 28, true);
+    const extraLength = dv.getUint16(at + 30, true);
+    const commentLength = dv.getUint16(at + 32, true);
+    const nameBytes = directory.subarray(at + 46, at + 46 + nameLength);
+    const entry = {
+      name: new TextDecoder(flags & FLAG_UTF8 ? 'utf-8' : 'latin1').decode(nameBytes),
+      method: dv.getUint16(at + 10, true),
+      compressedSize: dv.getUint32(at + 20, true),
+      size: dv.getUint32(at + 24, true),
+      offset: dv.getUint32(at + 42, true),
+      encrypted: (flags & FLAG_ENCRYPTED) !== 0
+    };
+    // Zip64 extra field: only the values saturated in the record follow, in this order
+    const extraEnd = at + 46 + nameLength + extraLength;
+    for (let x = at + 46 + nameLength; x + 4 <= extraEnd;) {
+      const id = dv.getUint16(x, true);
+      const length = dv.getUint16(x + 2, true);
+      if (id === ZIP64_EXTRA) {
+        let field = x + 4;
+        for (const key of ['size', 'compressedSize', 'offset']) {
+          if (entry[key] !== 0xffffffff || field + 8 > x + 4 + length) continue;
+          entry[key] = Number(dv.getBigUint64(field, true));
+          field += 8;
+        }
+      }
+      x += 4 + length;
+    }
+    if (!entry.name.endsWith('/')) entries.push(entry);
+    at = extraEnd + commentLength;
+  }
+  return entries;
+}
+
+// Unpacks one entry of `listZip(file)` into a File named after its last path segment;
+// gzipped DLT files in the archive are decompressed as well
+export async function extractZipEntry(file, entry) {
+  if (entry.encrypted) throw new Error('encrypted entries are not supported');
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+    throw new Error(`compression method ${entry.method} is not supported`);
+  }
+  const header = view(await readBytes(file, entry.offset, entry.offset + 30));
+  if (header.getUint32(0, true) !== LOCAL_ENTRY) throw new Error('corrupt local file header');
+  const start = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const data = file.slice(start, start + entry.compressedSize);
+  const name = entry.name.split('/').pop();
+  const unpacked = new File([entry.method === METHOD_STORED ? data : await inflate(data, 'deflate-raw')], name);
+  return isGzip(name) ? gunzip(unpacked) : unpacked;
+}
@@ -0,0 +1,181 @@
+// FIBEX / ARXML message catalogs for non-verbose DLT.
+// Parsed on the main thread (DOMParser is not available in workers) into a plain object
+// that is cloned into the parse worker:
+//   { name, format, size, warnings, messages: { [messageId]: { appId, ctxId, messageType, messageInfo, segments } } }
+// where each segment is either { text } or a parameter { type, size, name, unit, encoding }.
+// A parameter of a type that cannot be decoded is shown as raw bytes (all that remain of
+// the payload when its size is unknown) and listed in `warnings`.
+// `encoding` is 'utf8', 'utf16' (byte order of the message) or absent for latin1.
+
+// Namespace-agnostic helpers; FIBEX mixes fx:/ho: prefixes and some tools drop them
+const descendants = (el, name) => Array.from(el.getElementsByTagNameNS('*', name));
+const first = (el, name) => el.getElementsByTagNameNS('*', name)[0] || null;
+const textOf = (el, name) => {
+  const node = el && first(el, name);
+  return node ? node.textContent.trim() : '';
+};
+const sequenceOf = (el) => parseInt(textOf(el, 'SEQUENCE-NUMBER'), 10) || 0;
+const bySequence = (a, b) => sequenceOf(a) - sequenceOf(b);
+
+const INTEGER_SIZES = [1, 2, 4, 8];
+const FLOAT_SIZES = [2, 4, 8];
+
+// Stand-in for a parameter that cannot be decoded, recorded in `warnings`. Without a known
+// size the raw bytes take the rest of the payload.
+function rawParameter(warnings, reason, bits, name) {
+  warnings.push(`${reason} for parameter ${name}, shown as raw bytes`);
+  return bits > 0 && bits % 8 === 0 ? { type: 'RAWD', size: bits / 8, name } : { type: 'RAWD', size: 0, name, rest: true };
+}
+
+function fibexParameter(codedType, name, warnings) {
+  const baseType = codedType ? (codedType.getAttribute('ho:BASE-DATA-TYPE') || codedType.getAttribute('BASE-DATA-TYPE') || '') : '';
+  const bits = parseInt(textOf(codedType, 'BIT-LENGTH'), 10) || 0;
+  const unsupported = () => rawParameter(warnings, `Unsupported FIBEX data type "${baseType || 'unknown'}"`, bits, name);
+  let m;
+  if ((m = /^A_(U?INT|FLOAT)(\d+)$/.exec(baseType))) {
+    const size = (bits || +m[2]) / 8;
+    const type = m[1] === 'FLOAT' ? 'FLOA' : m[1] === 'INT' ? 'SINT' : 'UINT';
+    return (type === 'FLOA' ? FLOAT_SIZES : INTEGER_SIZES).includes(size) ? { type, size, name } : unsupported();
+  }
+  if (baseType === 'A_ASCIISTRING') return { type: 'STRG', size: 0, name };
+  if (baseType === 'A_UNICODE2STRING') {
+    const encoding = (codedType.getAttribute('ENCODING') || '').toUpperCase();
+    return { type: 'STRG', size: 0, name, encoding: encoding === 'UTF-8' ? 'utf8' : 'utf16' };
+  }
+  if (baseType === 'A_BYTEFIELD') return { type: 'RAWD', size: bits / 8, name };
+  if (baseType === 'A_BOOL') return { type: 'BOOL', size: 1, name };
+  return unsupported();
+}
+
+function parseFibex(doc, warnings) {
+  const byId = {};
+  for (const tag of ['PDU', 'SIGNAL', 'CODING']) {
+    for (const el of descendants(doc, tag)) byId[el.getAttribute('ID')] = el;
+  }
+  const ref = (el, name) => {
+    const r = first(el, name);
+    return r ? byId[r.getAttribute('ID-REF')] : null;
+  };
+
+  const messages = {};
+  for (const frame of descendants(doc, 'FRAME')) {
+    const idText = frame.getAttribute('ID') || textOf(frame, 'SHORT-NAME');
+    const match = /(\d+)$/.exec(idText || '');
+    if (!match) continue;
+
+    const segments = [];
+    for (const instance of descendants(frame, 'PDU-INSTANCE').sort(bySequence)) {
+      const pdu = ref(instance, 'PDU-REF');
+      if (!pdu) continue;
+      const desc = textOf(pdu, 'DESC');
+      if (desc) segments.push({ text: desc });
+      for (const signalInstance of descendants(pdu, 'SIGNAL-INSTANCE').sort(bySequence)) {
+        const signal = ref(signalInstance, 'SIGNAL-REF');
+        if (!signal) continue;
+        const coding = ref(signal, 'CODING-REF');
+        const name = textOf(signal, 'SHORT-NAME') || signal.getAttribute('ID');
+        segments.push(fibexParameter(coding && first(coding, 'CODED-TYPE'), name, warnings));
+      }
+    }
+
+    const ext = first(frame, 'MANUFACTURER-EXTENSION');
+    messages[parseInt(match[1], 10)] = {
+      appId: textOf(ext, 'APPLICATION_ID'),
+      ctxId: textOf(ext, 'CONTEXT_ID'),
+      messageType: textOf(ext, 'MESSAGE_TYPE'),
+      messageInfo: textOf(ext, 'MESSAGE_INFO'),
+      segments
+    };
+  }
+  return messages;
+}
+
+function arxmlParameter(baseType, typeName, name, warnings) {
+  if (!baseType) return rawParameter(warnings, `Missing SW-BASE-TYPE "${typeName || 'unknown'}"`, 0, name);
+  const bits = parseInt(textOf(baseType, 'BASE-TYPE-SIZE'), 10) || 0;
+  const encoding = textOf(baseType, 'BASE-TYPE-ENCODING').toUpperCase();
+  if (encoding === 'UTF-8') return { type: 'STRG', size: 0, name, encoding: 'utf8' };
+  if (/^UTF-?16/.test(encoding) || encoding === 'UCS-2') return { type: 'STRG', size: 0, name, encoding: 'utf16' };
+  if (encoding.startsWith('ISO-8859') || encoding === 'WINDOWS-1252') return { type: 'STRG', size: 0, name };
+  if (encoding === 'BOOLEAN') return { type: 'BOOL', size: 1, name };
+  const size = bits / 8;
+  if (encoding === 'IEEE754' && FLOAT_SIZES.includes(size)) return { type: 'FLOA', size, name };
+  if ((encoding === '2C' || encoding === '1C' || encoding === 'SM') && INTEGER_SIZES.includes(size)) return { type: 'SINT', size, name };
+  if ((encoding === '' || encoding === 'NONE') && INTEGER_SIZES.includes(size)) return { type: 'UINT', size, name };
+  return rawParameter(warnings, `Unsupported ARXML base type "${typeName}" (${encoding || 'no encoding'}, ${bits || 'unknown'} bits)`, bits, name);
+}
+
+// MESSAGE-TYPE-INFO holds either a type (DLT_TYPE_LOG) or a type info (DLT_LOG_WARN);
+// a DLT-LEVEL / LOG-LEVEL (DLT-LOG-WARN, LOG-WARN or WARN) makes it a log message
+function arxmlMessageType(msg) {
+  const typeInfo = textOf(msg, 'MESSAGE-TYPE-INFO').toUpperCase().replace(/-/g, '_');
+  const level = (textOf(msg, 'DLT-LEVEL') || textOf(msg, 'LOG-LEVEL')).toUpperCase().replace(/-/g, '_').replace(/^(DLT_)?(LOG_)?/, '');
+  const info = /^DLT_(LOG|TRACE|NW_TRACE|CONTROL)_/.exec(typeInfo);
+  if (info) {
+    const type = { LOG: 'LOG', TRACE: 'APP_TRACE', NW_TRACE: 'NW_TRACE', CONTROL: 'CONTROL' }[info[1]];
+    return { messageType: `DLT_TYPE_${type}`, messageInfo: typeInfo };
+  }
+  if (level) return { messageType: typeInfo || 'DLT_TYPE_LOG', messageInfo: `DLT_LOG_${level}` };
+  return { messageType: typeInfo, messageInfo: '' };
+}
+
+// AUTOSAR DltMessageCollectionSet: DLT-MESSAGE elements with MESSAGE-ID and DLT-ARGUMENTs
+// whose NETWORK-REPRESENTATION points at a SW-BASE-TYPE. App/context IDs come from the
+// enclosing (or referencing) DLT-CONTEXT / DLT-APPLICATION.
+function parseArxml(doc, warnings) {
+  const baseTypes = {};
+  for (const el of descendants(doc, 'SW-BASE-TYPE')) baseTypes[textOf(el, 'SHORT-NAME')] = el;
+  const lastSegment = (path) => path.split('/').filter(Boolean).pop() || '';
+
+  const owners = {};
+  for (const context of descendants(doc, 'DLT-CONTEXT')) {
+    const app = context.closest ? context.closest('DLT-APPLICATION') : null;
+    const ids = { appId: app ? textOf(app, 'APPLICATION-ID') : '', ctxId: textOf(context, 'CONTEXT-ID') };
+    for (const r of descendants(context, 'DLT-MESSAGE-REF')) owners[lastSegment(r.textContent.trim())] = ids;
+    for (const msg of descendants(context, 'DLT-MESSAGE')) owners[textOf(msg, 'SHORT-NAME')] = ids;
+  }
+
+  const messages = {};
+  for (const msg of descendants(doc, 'DLT-MESSAGE')) {
+    const id = parseInt(textOf(msg, 'MESSAGE-ID'), 10);
+    if (Number.isNaN(id)) continue;
+    const shortName = textOf(msg, 'SHORT-NAME');
+    const segments = [];
+    const desc = textOf(first(msg, 'DESC'), 'L-2');
+    if (desc) segments.push({ text: desc });
+    for (const arg of descendants(msg, 'DLT-ARGUMENT')) {
+      const typeName = lastSegment(textOf(arg, 'BASE-TYPE-REF'));
+      segments.push(arxmlParameter(baseTypes[typeName], typeName, textOf(arg, 'SHORT-NAME'), warnings));
+    }
+    const owner = owners[shortName] || {};
+    messages[id] = {
+      appId: owner.appId || '',
+      ctxId: owner.ctxId || '',
+      ...arxmlMessageType(msg),
+      segments
+    };
+  }
+  return messages;
+}
+
+export function parseCatalog(xmlText, name) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error(`${name} is not a well-formed XML file.`);
+  }
+  const root = doc.documentElement.localName;
+  let format, messages;
+  const warnings = [];
+  if (root === 'FIBEX') {
+    format = 'FIBEX';
+    messages = parseFibex(doc, warnings);
+  } else if (root === 'AUTOSAR') {
+    format = 'ARXML';
+    messages = parseArxml(doc, warnings);
+  } else {
+    throw new Error(`${name} is neither a FIBEX nor an ARXML description.`);
+  }
+  const size = Object.keys(messages).length;
+  if (size === 0) throw new Error(`${name} does not declare any DLT messages.`);
+  return { name, format, size, warnings, messages };
+}
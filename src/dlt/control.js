@@ -0,0 +1,215 @@
+// Control message decoding (MSTP control): a 32-bit service ID followed by the service's
+// fields. Requests carry parameters; responses start with a status byte. Byte order
+// follows the MSBF bit like any other payload.
+import { Reader, readScalar, toHex } from './verbose.js';
+import { LOG_LEVELS } from './header.js';
+
+const MTIN_RESPONSE = 2;
+
+export const CONTROL_SERVICES = {
+  0x01: 'set_log_level',
+  0x02: 'set_trace_status',
+  0x03: 'get_log_info',
+  0x04: 'get_default_log_level',
+  0x05: 'store_configuration',
+  0x06: 'reset_to_factory_default',
+  0x07: 'set_com_interface_status',
+  0x08: 'set_com_interface_max_bandwidth',
+  0x09: 'set_verbose_mode',
+  0x0a: 'set_message_filtering',
+  0x0b: 'set_timing_packets',
+  0x0c: 'get_local_time',
+  0x0d: 'use_ecu_id',
+  0x0e: 'use_session_id',
+  0x0f: 'use_timestamp',
+  0x10: 'use_extended_header',
+  0x11: 'set_default_log_level',
+  0x12: 'set_default_trace_status',
+  0x13: 'get_software_version',
+  0x14: 'message_buffer_overflow',
+  0x15: 'get_default_trace_status',
+  0x16: 'get_com_interface_status',
+  0x17: 'get_log_channel_names',
+  0x18: 'get_com_interface_max_bandwidth',
+  0x19: 'get_verbose_mode_status',
+  0x1a: 'get_message_filtering_status',
+  0x1b: 'get_use_ecu_id',
+  0x1c: 'get_use_session_id',
+  0x1d: 'get_use_timestamp',
+  0x1e: 'get_use_extended_header',
+  0x1f: 'get_trace_status',
+  0xf01: 'unregister_context',
+  0xf02: 'connection_info',
+  0xf03: 'timezone',
+  0xf04: 'marker'
+};
+
+const SET_LOG_LEVEL = 0x01;
+const SET_TRACE_STATUS = 0x02;
+const GET_LOG_INFO = 0x03;
+const GET_DEFAULT_LOG_LEVEL = 0x04;
+const SET_DEFAULT_LOG_LEVEL = 0x11;
+const SET_DEFAULT_TRACE_STATUS = 0x12;
+const GET_SOFTWARE_VERSION = 0x13;
+const MESSAGE_BUFFER_OVERFLOW = 0x14;
+const UNREGISTER_CONTEXT = 0xf01;
+const CONNECTION_INFO = 0xf02;
+const TIMEZONE = 0xf03;
+
+const STATUS_NAMES = { 0: 'ok', 1: 'not_supported', 2: 'error', 3: 'perm_denied', 4: 'warning', 8: 'no_matching_context', 9: 'overflow' };
+const CONNECTION_STATES = { 1: 'disconnected', 2: 'connected' };
+
+// get_log_info answers with the request option (3-7) as its status to say what the tables hold
+const LOG_INFO_OPTIONS = { 3: 'ids', 4: 'log levels', 5: 'trace status', 6: 'log levels and trace status', 7: 'with descriptions' };
+
+function statusName(serviceId, status) {
+  if (serviceId === GET_LOG_INFO && LOG_INFO_OPTIONS[status]) return 'ok';
+  return STATUS_NAMES[status] || `status_${status}`;
+}
+
+const levelName = (level) => (level === -1 ? 'default' : level === 0 ? 'off' : LOG_LEVELS[level - 1] || `level_${level}`);
+const traceName = (status) => (status === -1 ? 'default' : status === 0 ? 'off' : status === 1 ? 'on' : `trace_${status}`);
+
+const int8 = (r) => (r.u8() << 24) >> 24;
+const id = (r) => r.text(4);
+const field = (type, name, value) => ({ type, name, unit: null, value });
+
+function formatTimezone(seconds) {
+  const sign = seconds < 0 ? '-' : '+';
+  const abs = Math.abs(seconds);
+  return `UTC${sign}${String(Math.floor(abs / 3600)).padStart(2, '0')}:${String(Math.floor((abs % 3600) / 60)).padStart(2, '0')}`;
+}
+
+// Request decoders push their fields to `args` and return the one-line summary
+const REQUESTS = {
+  [SET_LOG_LEVEL]: (r, args) => {
+    const app = id(r), ctx = id(r), level = levelName(int8(r));
+    args.push(field('ID', 'app', app), field('ID', 'context', ctx), field('SINT', 'log level', level), field('ID', 'com', id(r)));
+    return `${app || '*'} ${ctx || '*'} ${level}`;
+  },
+  [SET_TRACE_STATUS]: (r, args) => {
+    const app = id(r), ctx = id(r), trace = traceName(int8(r));
+    args.push(field('ID', 'app', app), field('ID', 'context', ctx), field('SINT', 'trace status', trace), field('ID', 'com', id(r)));
+    return `${app || '*'} ${ctx || '*'} trace ${trace}`;
+  },
+  [GET_LOG_INFO]: (r, args) => {
+    const options = r.u8(), app = id(r), ctx = id(r);
+    args.push(field('UINT', 'options', options), field('ID', 'app', app), field('ID', 'context', ctx), field('ID', 'com', id(r)));
+    return `${app || '*'} ${ctx || '*'} ${LOG_INFO_OPTIONS[options] || `options ${options}`}`;
+  },
+  [SET_DEFAULT_LOG_LEVEL]: (r, args) => {
+    const level = levelName(int8(r));
+    args.push(field('SINT', 'log level', level), field('ID', 'com', id(r)));
+    return level;
+  },
+  [SET_DEFAULT_TRACE_STATUS]: (r, args) => {
+    const trace = traceName(int8(r));
+    args.push(field('SINT', 'trace status', trace), field('ID', 'com', id(r)));
+    return `trace ${trace}`;
+  }
+};
+
+// Response decoders run after the status byte, and only for successful responses
+const RESPONSES = {
+  [GET_LOG_INFO]: (r, args, status) => {
+    const withLevel = status === 4 || status === 6 || status === 7;
+    const withTrace = status === 5 || status === 6 || status === 7;
+    const withDescription = status === 7;
+    const apps = [];
+    const appCount = r.u16();
+    for (let a = 0; a < appCount; a++) {
+      const app = field('ID', 'app', id(r));
+      args.push(app);
+      const contexts = [];
+      const contextCount = r.u16();
+      for (let c = 0; c < contextCount; c++) {
+        const ctx = id(r);
+        const parts = [];
+        if (withLevel) parts.push(levelName(int8(r)));
+        if (withTrace) parts.push(`trace ${traceName(int8(r))}`);
+        if (withDescription) {
+          const description = r.text(r.u16());
+          if (description) parts.push(`"${description}"`);
+        }
+        args.push(field('ID', `${app.value}.${ctx}`, parts.join(', ')));
+        contexts.push(parts.length ? `${ctx} ${parts.join(' ')}` : ctx);
+      }
+      if (withDescription) {
+        const description = r.text(r.u16());
+        if (description) app.value = `${app.value} "${description}"`;
+      }
+      apps.push(contexts.length ? `${app.value} (${contexts.join(', ')})` : app.value);
+    }
+    if (r.pos + 4 <= r.end) args.push(field('ID', 'com', id(r)));
+    return apps.join('; ');
+  },
+  [GET_DEFAULT_LOG_LEVEL]: (r, args) => {
+    const level = levelName(int8(r));
+    args.push(field('SINT', 'log level', level));
+    return level;
+  },
+  [GET_SOFTWARE_VERSION]: (r, args) => {
+    const version = r.text(r.u32());
+    args.push(field('STRG', 'version', version));
+    return version;
+  },
+  [MESSAGE_BUFFER_OVERFLOW]: (r, args) => {
+    const overflow = r.u8() !== 0;
+    const counter = r.pos + 4 <= r.end ? r.u32() : null;
+    args.push(field('BOOL', 'overflow', overflow));
+    if (counter !== null) args.push(field('UINT', 'overflow counter', counter));
+    return counter !== null ? `overflow ${overflow ? 'yes' : 'no'}, ${counter} lost` : `overflow ${overflow ? 'yes' : 'no'}`;
+  },
+  [UNREGISTER_CONTEXT]: (r, args) => {
+    const app = id(r), ctx = id(r);
+    args.push(field('ID', 'app', app), field('ID', 'context', ctx), field('ID', 'com', id(r)));
+    return `${app} ${ctx}`;
+  },
+  [CONNECTION_INFO]: (r, args) => {
+    const state = r.u8();
+    const name = CONNECTION_STATES[state] || `state_${state}`;
+    args.push(field('UINT', 'state', name), field('ID', 'com', id(r)));
+    return name;
+  },
+  [TIMEZONE]: (r, args) => {
+    const offset = readScalar(r, 'SINT', 4);
+    const dst = r.u8() !== 0;
+    args.push({ ...field('SINT', 'timezone', offset), unit: 's' }, field('BOOL', 'daylight saving', dst));
+    return `${formatTimezone(offset)}${dst ? ' DST' : ''}`;
+  }
+};
+
+// Returns null when the payload is too short to carry a service ID
+export function decodeControl(dv, offset, end, littleEndian, mtin) {
+  if (offset + 4 > end) return null;
+  const serviceId = dv.getUint32(offset, littleEndian);
+  const service = CONTROL_SERVICES[serviceId] || `service_0x${serviceId.toString(16)}`;
+  const response = mtin === MTIN_RESPONSE;
+  const r = new Reader(dv, offset + 4, end, littleEndian);
+  const args = [];
+  let label = service;
+  let text = '';
+  let error = null;
+
+  try {
+    let decode = REQUESTS[serviceId];
+    let status = null;
+    if (response) {
+      status = r.u8();
+      const name = statusName(serviceId, status);
+      label = `${service} ${name}`;
+      args.push(field('UINT', 'status', name));
+      decode = name === 'ok' ? RESPONSES[serviceId] : null;
+    }
+    if (decode) text = decode(r, args, status);
+    if (r.pos < end) {
+      const rest = r.bytes(end - r.pos);
+      args.push(field('RAWD', null, toHex(rest)));
+      if (!decode) text = toHex(rest);
+    }
+  } catch (err) {
+    error = `${service}: ${err.message}`;
+  }
+
+  return { serviceId, service, args, error, payload: `[${label}]${text ? ` ${text}` : ''}` };
+}
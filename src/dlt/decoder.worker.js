@@ -0,0 +1,57 @@
+import { parseMessage } from './parser.js';
+import { loadDecoders, applyDecoders } from './decoders.js';
+
+let catalog = null;
+
+// Decoder work for the page, so user modules never run there. { type: 'catalog', catalog }
+// sets the catalog for later requests. The others carry an `id` repeated in the answer:
+// { type: 'load', decoders } loads the decoder files and answers { id, failures };
+// { type: 'decode', bytes, decoders } decodes one stored message and answers
+// { id, failures, args, decoded, decodeError }, all null when the bytes hold no message.
+onmessage = async function (e) {
+  const msg = e.data;
+  if (msg.type === 'catalog') {
+    catalog = msg.catalog;
+    return;
+  }
+  const { decoders, failures } = await loadDecoders(msg.decoders);
+  if (msg.type === 'load') {
+    postMessage({ id: msg.id, failures });
+    return;
+  }
+  const dv = new DataView(msg.bytes);
+  let record;
+  try {
+    record = parseMessage(dv, 0, catalog, true);
+  } catch (err) {
+    postMessage({ id: msg.id, failures, args: null, decoded: null, decodeError: err.message });
+    return;
+  }
+  if (!record) {
+    postMessage({ id: msg.id, failures, args: null, decoded: null, decodeError: null });
+    return;
+  }
+  applyDecoders(decoders, record, dv);
+  postMessage({
+    id: msg.id,
+    failures,
+    args: record.args,
+    decoded: record.decoded ? { decoder: record.decoded.decoder, fields: record.decoded.fields.map(cloneableField) } : null,
+    decodeError: record.decodeError || null
+  });
+};
+
+// Field values come from user code and may not survive postMessage; objects are sent as
+// their JSON text, which is how the details show them anyway
+function cloneableField(field) {
+  let value = field && field.value;
+  if (typeof value === 'function' || typeof value === 'symbol') value = String(value);
+  else if (typeof value === 'object' && value !== null) {
+    try {
+      value = JSON.stringify(value);
+    } catch {
+      value = String(value);
+    }
+  }
+  return { name: String(field && field.name), value, unit: field && field.unit ? String(field.unit) : null };
+}
@@ -0,0 +1,123 @@
+// User payload decoders. A decoder file is an ES module whose default export is one
+// decoder or an array of them:
+//
+//   export default {
+//     name: 'Navigation JSON',
+//     app: 'NAV*',            // App ID pattern, * and ? wildcards; default '*'
+//     ctx: '*',               // Context ID pattern
+//     decode(message) {       // { ecu, app, ctx, mstp, mtin, verbose, messageId, payload, args, bytes, littleEndian }
+//       const data = JSON.parse(message.payload);
+//       return { text: `${data.lat},${data.lon}`, fields: [{ name: 'lat', value: data.lat, unit: 'deg' }] };
+//     }
+//   };
+//
+// `decode` returns null to leave the message to the next matching decoder. `text` replaces
+// the payload shown in the table; without it the fields are listed instead. Searching the
+// payload also searches the fields.
+// Decoder files are stored in localStorage and run in the workers, never in the page.
+
+export const DECODERS_KEY = 'dlt-turbo.decoders';
+
+let nextDecoderId = 1;
+
+// { id, fileName, source, enabled } per loaded file
+export function loadSavedDecoders() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DECODERS_KEY)) || [];
+    for (const entry of saved) nextDecoderId = Math.max(nextDecoderId, entry.id + 1);
+    return saved;
+  } catch {
+    return [];
+  }
+}
+
+export function saveDecoders(entries) {
+  localStorage.setItem(DECODERS_KEY, JSON.stringify(entries));
+}
+
+export const createDecoderEntry = (fileName, source) => ({ id: nextDecoderId++, fileName, source, enabled: true });
+
+const wildcard = (pattern = '*') => new RegExp(
+  `^${String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`
+);
+
+const modules = new Map(); // source -> Promise of the module's decoders
+
+async function importSource(source) {
+  const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  try {
+    return await import(/* @vite-ignore */ url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Imports the enabled decoder files, in order: { decoders, failures }. A file that does not
+// load or exports no usable decoder is left out and listed in `failures` as
+// { id, fileName, message }.
+export async function loadDecoders(entries) {
+  const enabled = entries.filter(entry => entry.enabled);
+  const results = await Promise.allSettled(enabled.map(entry => {
+    if (!modules.has(entry.source)) {
+      modules.set(entry.source, importSource(entry.source).then(module => {
+        const exported = Array.isArray(module.default) ? module.default : [module.default];
+        if (exported.length === 0 || exported.some(d => !d || typeof d.decode !== 'function')) {
+          throw new Error('the default export must be a decoder with a decode(message) function, or an array of them');
+        }
+        return exported.map((d, i) => ({
+          name: d.name || (exported.length > 1 ? `${entry.fileName} #${i + 1}` : entry.fileName),
+          app: wildcard(d.app),
+          ctx: wildcard(d.ctx),
+          decode: d.decode
+        }));
+      }));
+    }
+    return modules.get(entry.source).catch(err => {
+      modules.delete(entry.source);
+      throw err;
+    });
+  }));
+  const decoders = [];
+  const failures = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') decoders.push(...result.value);
+    else failures.push({ id: enabled[i].id, fileName: enabled[i].fileName, message: result.reason?.message || String(result.reason) });
+  });
+  return { decoders, failures };
+}
+
+const formatField = (field) => `${field.name}=${field.value}${field.unit ? ` ${field.unit}` : ''}`;
+
+// Runs the first matching decoder that accepts the record, updating its payload in place.
+// `dv` holds the message the record was parsed from. Decoder exceptions become decode errors.
+export function applyDecoders(decoders, record, dv) {
+  for (const decoder of decoders) {
+    if (!decoder.app.test(record.app) || !decoder.ctx.test(record.ctx)) continue;
+    let result;
+    try {
+      result = decoder.decode({
+        ecu: record.ecu,
+        app: record.app,
+        ctx: record.ctx,
+        mstp: record.mstp,
+        mtin: record.mtin,
+        verbose: record.verbose,
+        messageId: record.messageId,
+        payload: record.payload,
+        args: record.args,
+        bytes: new Uint8Array(dv.buffer, dv.byteOffset + record.payloadStart, record.payloadEnd - record.payloadStart),
+        littleEndian: record.littleEndian
+      });
+    } catch (err) {
+      record.decodeError = `${decoder.name}: ${err.message}`;
+      return;
+    }
+    if (!result) continue;
+    const fields = Array.isArray(result.fields) ? result.fields : [];
+    const fieldText = fields.map(formatField).join(' ');
+    record.payload = typeof result.text === 'string' ? result.text : fieldText;
+    record.fieldText = fieldText;
+    record.decoded = { decoder: decoder.name, fields };
+    return;
+  }
+}
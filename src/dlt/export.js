@@ -0,0 +1,122 @@
+// Exports of a set of records (store indices) as .dlt, CSV, JSON or DLT Viewer style text.
+import { messageTypeName, messageInfoName } from './header.js';
+import { formatAbsolute, formatUptime } from './time.js';
+
+export const EXPORT_FORMATS = {
+  dlt: { label: 'DLT (.dlt)', extension: 'dlt', type: 'application/octet-stream' },
+  csv: { label: 'CSV (.csv)', extension: 'csv', type: 'text/csv' },
+  json: { label: 'JSON (.json)', extension: 'json', type: 'application/json' },
+  txt: { label: 'Text (.txt)', extension: 'txt', type: 'text/plain' }
+};
+
+// Original message bytes, storage headers included. Adjacent messages of the same source
+// file are merged into a single slice so the Blob stays small; nothing is read until the
+// download happens. Messages cut short at the end of their file would leave a header
+// length pointing past the end of the export, so they are skipped and counted.
+function toDlt(files, logs, indices) {
+  const parts = [];
+  let file = null, start = -1, end = -1;
+  let skipped = 0;
+  for (const i of indices) {
+    if (logs.isTruncated(i)) {
+      skipped++;
+      continue;
+    }
+    const source = files[logs.columns.source[i]];
+    const offset = logs.columns.offset[i];
+    const length = logs.columns.length[i];
+    if (source === file && offset === end) {
+      end += length;
+      continue;
+    }
+    if (file) parts.push(file.slice(start, end));
+    file = source;
+    start = offset;
+    end = offset + length;
+  }
+  if (file) parts.push(file.slice(start, end));
+  return { blob: new Blob(parts, { type: EXPORT_FORMATS.dlt.type }), skipped };
+}
+
+const COLUMNS = ['index', 'source', 'time', 'uptime', 'counter', 'ecu', 'session', 'app', 'ctx', 'type', 'subtype', 'mode', 'args', 'messageId', 'payload'];
+
+const columnsOf = (log, files) => ({
+  index: log.id,
+  source: files[log.source].name,
+  time: formatAbsolute(log.sec, log.usec, true),
+  uptime: log.uptime === null ? null : log.uptime / 10000,
+  counter: log.counter,
+  ecu: log.ecu,
+  session: log.session,
+  app: log.app,
+  ctx: log.ctx,
+  type: messageTypeName(log.mstp),
+  subtype: messageInfoName(log.mstp, log.mtin),
+  mode: log.verbose ? 'verbose' : 'non-verbose',
+  args: log.argCount,
+  messageId: log.messageId,
+  payload: log.payload
+});
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Text chunks are collected in an array and handed to Blob as-is, so large exports
+// never need one giant string
+function toCsv(files, logs, indices) {
+  const lines = [COLUMNS.join(',') + '\r\n'];
+  for (const i of indices) {
+    const row = columnsOf(logs.get(i), files);
+    lines.push(COLUMNS.map(name => csvField(row[name])).join(',') + '\r\n');
+  }
+  return new Blob(lines, { type: EXPORT_FORMATS.csv.type });
+}
+
+function toJson(files, logs, indices) {
+  const parts = ['['];
+  indices.forEach((i, n) => {
+    parts.push((n ? ',\n  ' : '\n  ') + JSON.stringify(columnsOf(logs.get(i), files)));
+  });
+  parts.push('\n]\n');
+  return new Blob(parts, { type: EXPORT_FORMATS.json.type });
+}
+
+// DLT Viewer "Export as ASCII": index, time, uptime, counter, ECU, App, Context,
+// type, subtype, mode, argument count, payload
+function toText(logs, indices) {
+  const lines = [];
+  for (const i of indices) {
+    const log = logs.get(i);
+    const time = formatAbsolute(log.sec, log.usec, true).replace(/-/g, '/');
+    lines.push([
+      log.id,
+      time,
+      formatUptime(log.uptime ?? 0),
+      log.counter,
+      log.ecu,
+      log.app,
+      log.ctx,
+      messageTypeName(log.mstp) ?? '',
+      messageInfoName(log.mstp, log.mtin) ?? '',
+      log.verbose ? 'verbose' : 'non-verbose',
+      log.argCount,
+      log.payload
+    ].join(' ') + '\n');
+  }
+  return new Blob(lines, { type: EXPORT_FORMATS.txt.type });
+}
+
+// `files` are the opened source files, indexed by each record's `source`. Returns
+// { blob, skipped } with the number of records that could not be exported.
+export function exportRecords(format, { files, logs, indices }) {
+  switch (format) {
+    case 'dlt': return toDlt(files, logs, indices);
+    case 'csv': return { blob: toCsv(files, logs, indices), skipped: 0 };
+    case 'json': return { blob: toJson(files, logs, indices), skipped: 0 };
+    case 'txt': return { blob: toText(logs, indices), skipped: 0 };
+    default: throw new Error(`Unknown export format "${format}"`);
+  }
+}
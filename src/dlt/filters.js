@@ -0,0 +1,163 @@
+// Structured message filters, compatible with COVESA DLT Viewer .dlf filter files.
+//
+// A message passes when it matches the enabled positive filters (any of them in "or"
+// mode, all of them in "and" mode; no positive filters means everything matches) and
+// none of the enabled negative filters.
+
+import { MESSAGE_TYPES, MSTP_CONTROL, MSTP_LOG } from './header.js';
+
+export const FILTER_SETS_KEY = 'dlt-turbo.filterSets';
+
+let nextFilterId = 1;
+
+export function createFilter(type = 'positive', fields = {}) {
+  return {
+    id: nextFilterId++,
+    name: '',
+    type,
+    enabled: true,
+    ecu: '',
+    app: '',
+    ctx: '',
+    maxLevel: 0, // 0 = any, otherwise 1 (fatal) .. 6 (verbose)
+    minLevel: 0,
+    messageType: '',
+    payload: '',
+    regex: false,
+    ignoreCase: false,
+    ...fields
+  };
+}
+
+export const emptyFilterSet = () => ({ name: '', mode: 'or', filters: [] });
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Returns the compiled payload matcher, or throws SyntaxError for an invalid regex
+export function compilePayload(filter) {
+  if (!filter.payload) return null;
+  const source = filter.regex ? filter.payload : escapeRegex(filter.payload);
+  return new RegExp(source, filter.ignoreCase ? 'i' : '');
+}
+
+function compileFilter(filter) {
+  const payload = compilePayload(filter);
+  const type = filter.messageType ? MESSAGE_TYPES.indexOf(filter.messageType) : -1;
+  return (log) => {
+    if (filter.ecu && log.ecu !== filter.ecu) return false;
+    if (filter.app && log.app !== filter.app) return false;
+    if (filter.ctx && log.ctx !== filter.ctx) return false;
+    if (type !== -1 && log.mstp !== type) return false;
+    if (filter.maxLevel || filter.minLevel) {
+      if (log.mstp !== MSTP_LOG) return false;
+      if (filter.maxLevel && log.mtin > filter.maxLevel) return false;
+      if (filter.minLevel && log.mtin < filter.minLevel) return false;
+    }
+    if (payload && !payload.test(log.payload)) return false;
+    return true;
+  };
+}
+
+// Builds a predicate for the set. Filters with an invalid regex are skipped; their ids
+// are reported so the panel can flag them.
+export function compileFilterSet(set) {
+  const positives = [];
+  const negatives = [];
+  const invalid = [];
+  for (const filter of set.filters) {
+    if (!filter.enabled) continue;
+    let match;
+    try {
+      match = compileFilter(filter);
+    } catch {
+      invalid.push(filter.id);
+      continue;
+    }
+    (filter.type === 'negative' ? negatives : positives).push(match);
+  }
+
+  const active = positives.length + negatives.length > 0;
+  const predicate = (log) => {
+    if (negatives.some(match => match(log))) return false;
+    if (positives.length === 0) return true;
+    return set.mode === 'and' ? positives.every(match => match(log)) : positives.some(match => match(log));
+  };
+  return { active, predicate, invalid };
+}
+
+// --- DLT Viewer .dlf ---------------------------------------------------------
+
+const DLF_TYPES = { 0: 'positive', 1: 'negative' };
+
+export function parseDlf(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length || doc.documentElement.nodeName !== 'dltfilter') {
+    throw new Error('Not a DLT Viewer filter file (.dlf).');
+  }
+
+  const filters = [];
+  for (const el of Array.from(doc.getElementsByTagName('filter'))) {
+    const text = (name) => {
+      const node = el.getElementsByTagName(name)[0];
+      return node ? node.textContent.trim() : '';
+    };
+    const flag = (name) => text(name) === '1';
+    // Markers (type 2) only colour rows in DLT Viewer; they do not filter
+    const type = DLF_TYPES[text('type') || '0'];
+    if (!type) continue;
+
+    const messageType = text('messagetype') || (flag('enablectrlmsgs') ? MESSAGE_TYPES[MSTP_CONTROL] : '');
+    filters.push(createFilter(type, {
+      name: text('name'),
+      enabled: text('enablefilter') !== '0',
+      ecu: flag('enableecuid') ? text('ecuid') : '',
+      app: flag('enableapplicationid') ? text('applicationid') : '',
+      ctx: flag('enablecontextid') ? text('contextid') : '',
+      maxLevel: flag('enableLogLevelMax') ? parseInt(text('logLevelMax'), 10) || 0 : 0,
+      minLevel: flag('enableLogLevelMin') ? parseInt(text('logLevelMin'), 10) || 0 : 0,
+      messageType: MESSAGE_TYPES.includes(messageType) ? messageType : '',
+      payload: flag('enablepayloadtext') ? text('payloadtext') : '',
+      regex: flag('enableregex'),
+      ignoreCase: flag('ignoreCase_Payload')
+    }));
+  }
+  return filters;
+}
+
+const xmlEscape = (value) => String(value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+export function serializeDlf(filters) {
+  const element = (name, value) => `        <${name}>${xmlEscape(value)}</${name}>`;
+  const bit = (value) => (value ? 1 : 0);
+  const body = filters.map(f => [
+    '    <filter>',
+    element('type', f.type === 'negative' ? 1 : 0),
+    element('name', f.name),
+    element('ecuid', f.ecu),
+    element('applicationid', f.app),
+    element('contextid', f.ctx),
+    element('headertext', ''),
+    element('payloadtext', f.payload),
+    element('enableregex', bit(f.regex)),
+    element('enablefilter', bit(f.enabled)),
+    element('enableecuid', bit(f.ecu)),
+    element('enableapplicationid', bit(f.app)),
+    element('enablecontextid', bit(f.ctx)),
+    element('enableheadertext', 0),
+    element('enablepayloadtext', bit(f.payload)),
+    element('enablectrlmsgs', bit(f.messageType === MESSAGE_TYPES[MSTP_CONTROL])),
+    element('enableLogLevelMax', bit(f.maxLevel)),
+    element('enableLogLevelMin', bit(f.minLevel)),
+    element('enableMarker', 0),
+    element('filterColour', '#000000'),
+    element('logLevelMax', f.maxLevel || 6),
+    element('logLevelMin', f.minLevel || 0),
+    element('ignoreCase_Header', 0),
+    element('ignoreCase_Payload', bit(f.ignoreCase)),
+    // Not part of DLT Viewer's schema (it ignores unknown elements); keeps non-control types round-tripping
+    element('messagetype', f.messageType),
+    '    </filter>'
+  ].join('\n')).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<dltfilter>\n${body}\n</dltfilter>\n`;
+}
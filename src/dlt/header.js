@@ -0,0 +1,39 @@
+// Message type (MSTP) and message type info (MTIN) from the extended header MSIN byte.
+
+export const MSTP_LOG = 0;
+export const MSTP_APP_TRACE = 1;
+export const MSTP_NW_TRACE = 2;
+export const MSTP_CONTROL = 3;
+
+export const MESSAGE_TYPES = ['log', 'app_trace', 'nw_trace', 'control'];
+
+// Indexed by MTIN for each MSTP
+const MESSAGE_TYPE_INFOS = [
+  [null, 'fatal', 'error', 'warn', 'info', 'debug', 'verbose'],
+  [null, 'variable', 'func_in', 'func_out', 'state', 'vfb'],
+  [null, 'ipc', 'can', 'flexray', 'most', 'ethernet', 'someip'],
+  [null, 'request', 'response', 'time']
+];
+
+export const LOG_LEVELS = MESSAGE_TYPE_INFOS[MSTP_LOG].slice(1);
+
+export const messageTypeName = (mstp) => (mstp === null ? null : MESSAGE_TYPES[mstp] || `type_${mstp}`);
+
+export const messageInfoName = (mstp, mtin) => {
+  if (mstp === null) return null;
+  const infos = MESSAGE_TYPE_INFOS[mstp];
+  return (infos && infos[mtin]) || `info_${mtin}`;
+};
+
+// Catalogs spell these out as DLT_TYPE_LOG / DLT_LOG_WARN etc.
+export function parseMessageType(name) {
+  const i = MESSAGE_TYPES.indexOf(String(name).replace(/^DLT_TYPE_/, '').toLowerCase());
+  return i === -1 ? null : i;
+}
+
+export function parseMessageInfo(mstp, name) {
+  if (mstp === null) return null;
+  const short = String(name).replace(/^DLT_(LOG|TRACE|NW_TRACE|CONTROL)_/, '').toLowerCase();
+  const i = MESSAGE_TYPE_INFOS[mstp].indexOf(short);
+  return i === -1 ? null : i;
+}
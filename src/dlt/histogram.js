@@ -0,0 +1,84 @@
+// Per-second message counts, split by log level and by ECU, for the timeline charts.
+// Built by the index worker for files and incrementally from the batches of a live capture.
+import { LOG_LEVELS, MSTP_LOG } from './header.js';
+import { lowerBound } from './store.js';
+
+// Slot 0 counts everything that is not a log message with a known level
+export const LEVEL_SLOTS = LOG_LEVELS.length + 1;
+
+export const HISTOGRAM_SPLITS = { none: 'All messages', level: 'By level', ecu: 'By ECU' };
+
+export const levelSlot = (mstp, mtin) => (mstp === MSTP_LOG && mtin >= 1 && mtin <= LOG_LEVELS.length ? mtin : 0);
+
+export class Histogram {
+  constructor() {
+    this.buckets = new Map(); // second -> { levels: Uint32Array, ecus: number[] }
+    this.ecus = new Map(); // ECU ID -> series index
+    this.messages = 0;
+  }
+
+  add(sec, slot, ecu) {
+    let bucket = this.buckets.get(sec);
+    if (!bucket) {
+      bucket = { levels: new Uint32Array(LEVEL_SLOTS), ecus: [] };
+      this.buckets.set(sec, bucket);
+    }
+    let series = this.ecus.get(ecu);
+    if (series === undefined) {
+      series = this.ecus.size;
+      this.ecus.set(ecu, series);
+    }
+    bucket.levels[slot]++;
+    bucket.ecus[series] = (bucket.ecus[series] || 0) + 1;
+    this.messages++;
+  }
+
+  // Flat typed arrays over the seconds that have messages, ascending
+  snapshot() {
+    const seconds = Float64Array.from(this.buckets.keys()).sort();
+    const ecuCount = this.ecus.size;
+    const levels = new Uint32Array(seconds.length * LEVEL_SLOTS);
+    const ecus = new Uint32Array(seconds.length * ecuCount);
+    seconds.forEach((sec, k) => {
+      const bucket = this.buckets.get(sec);
+      levels.set(bucket.levels, k * LEVEL_SLOTS);
+      bucket.ecus.forEach((count, series) => { ecus[k * ecuCount + series] = count || 0; });
+    });
+    return {
+      start: seconds.length ? seconds[0] : 0,
+      end: seconds.length ? seconds[seconds.length - 1] : 0,
+      seconds,
+      levels,
+      ecus,
+      ecuNames: [...this.ecus.keys()],
+      messages: this.messages
+    };
+  }
+}
+
+// Sums a snapshot into `columns` equal slices of the seconds from..to (inclusive), one
+// count per column and series. Returns the counts (column-major) and the tallest column.
+export function binHistogram(histogram, split, from, to, columns) {
+  const { seconds, levels, ecus, ecuNames } = histogram;
+  const series = split === 'level' ? LEVEL_SLOTS : split === 'ecu' ? ecuNames.length : 1;
+  const counts = new Float64Array(columns * series);
+  const totals = new Float64Array(columns);
+  const width = (to - from + 1) / columns;
+
+  for (let k = lowerBound(seconds, from); k < seconds.length && seconds[k] <= to; k++) {
+    const column = Math.min(columns - 1, Math.floor((seconds[k] - from) / width));
+    for (let slot = 0; slot < LEVEL_SLOTS; slot++) {
+      const count = levels[k * LEVEL_SLOTS + slot];
+      totals[column] += count;
+      if (split === 'level') counts[column * series + slot] += count;
+      else if (split !== 'ecu') counts[column] += count;
+    }
+    if (split === 'ecu') {
+      for (let e = 0; e < series; e++) counts[column * series + e] += ecus[k * series + e];
+    }
+  }
+
+  let max = 0;
+  for (let c = 0; c < columns; c++) max = Math.max(max, totals[c]);
+  return { counts, totals, series, max };
+}
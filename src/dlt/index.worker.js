@@ -0,0 +1,49 @@
+import { peekMessage } from './parser.js';
+import { Histogram, levelSlot } from './histogram.js';
+import { scanFile } from './scan.js';
+import { Sha256 } from './sha256.js';
+
+// Partial histograms are posted at most this often while the files are read
+const REPORT_INTERVAL = 300;
+
+const ecuName = (id) => String.fromCharCode(id >>> 24, (id >>> 16) & 0xff, (id >>> 8) & 0xff, id & 0xff)
+  .replace(/[^\x20-\x7e]/g, '').trim() || 'N/A';
+
+// Quick index pass that only reads headers: { files: Blob[] } in; then a stream of
+// { type: 'progress', histogram, bytes, total } and a final { type: 'done', histogram }.
+// Reading every byte anyway, it also hashes the content of each file for the bookmarks and
+// posts { type: 'hash', source, hash } (SHA-256, hex) as soon as a file is done.
+onmessage = async function (e) {
+  const { files } = e.data;
+  const histogram = new Histogram();
+  const names = new Map(); // raw ECU ID -> name
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  let finished = 0;
+  let reported = Date.now();
+
+  for (let source = 0; source < files.length; source++) {
+    const file = files[source];
+    const hash = new Sha256();
+    await scanFile(file, {
+      onData: (bytes) => hash.update(bytes),
+      visit: (data, offset) => {
+        const { sec, ecu, msin } = peekMessage(data, offset);
+        let name = names.get(ecu);
+        if (name === undefined) {
+          name = ecuName(ecu);
+          names.set(ecu, name);
+        }
+        histogram.add(sec, msin === -1 ? 0 : levelSlot((msin >> 1) & 0x07, (msin >> 4) & 0x0f), name);
+      },
+      onChunk: (bytes) => {
+        if (Date.now() - reported < REPORT_INTERVAL) return;
+        reported = Date.now();
+        postMessage({ type: 'progress', histogram: histogram.snapshot(), bytes: finished + bytes, total });
+      }
+    });
+    finished += file.size;
+    postMessage({ type: 'hash', source, hash: hash.digest() });
+  }
+
+  postMessage({ type: 'done', histogram: histogram.snapshot() });
+};
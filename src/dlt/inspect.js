@@ -0,0 +1,179 @@
+// Byte-level breakdown of one stored message for the inspector. Every field gets its
+// offset, length, raw bytes and decoded meaning; anything that does not add up is listed
+// under `problems` rather than silently skipped like the fast parser does.
+import { Reader, readArgument, formatArgumentValue, toHex } from './verbose.js';
+import { decodeNonVerbose } from './nonverbose.js';
+import { decodeControl } from './control.js';
+import { messageTypeName, messageInfoName, MSTP_CONTROL } from './header.js';
+import { STORAGE_HEADER_SIZE, isStorageHeader } from './parser.js';
+import { formatAbsolute, formatUptime } from './time.js';
+
+export const SECTIONS = {
+  storage: 'Storage header',
+  standard: 'Standard header',
+  extra: 'Standard header extra',
+  extended: 'Extended header',
+  payload: 'Payload',
+  unknown: 'Unparsed'
+};
+
+const HTYP_BITS = [[0x01, 'UEH'], [0x02, 'MSBF'], [0x04, 'WEID'], [0x08, 'WSID'], [0x10, 'WTMS']];
+const RAW_PREVIEW = 16;
+
+const ascii = (bytes) => Array.from(bytes, b => (b >= 32 && b <= 126 ? String.fromCharCode(b) : '.')).join('');
+
+// `bytes` holds the stored message from its storage header on; it may be cut short
+export function inspectMessage(bytes, catalog = null) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const fields = [];
+  const problems = [];
+
+  // Adds the field if its bytes are there; returns false (and reports it) otherwise
+  const add = (section, name, offset, length, meaning, end = bytes.length) => {
+    if (offset + length > end) {
+      problems.push(`${name} at byte ${offset} needs ${length} bytes, but the ${end < bytes.length ? 'message' : 'data'} ends at byte ${end}.`);
+      if (offset < end) fields.push({ section: 'unknown', name: `${name} (incomplete)`, offset, length: end - offset, raw: toHex(bytes.subarray(offset, end)), meaning: '' });
+      return false;
+    }
+    const raw = bytes.subarray(offset, offset + length);
+    fields.push({
+      section,
+      name,
+      offset,
+      length,
+      raw: raw.length > RAW_PREVIEW ? `${toHex(raw.subarray(0, RAW_PREVIEW))} …` : toHex(raw),
+      meaning: typeof meaning === 'function' ? meaning(raw) : meaning
+    });
+    return true;
+  };
+
+  if (!isStorageHeader(dv, 0)) {
+    problems.push('No storage header pattern "DLT\\x01" at the start; these bytes are not a stored message.');
+    return { fields, problems, size: bytes.length };
+  }
+
+  // Storage header: seconds and microseconds are little endian
+  add('storage', 'Pattern', 0, 4, '"DLT\\x01"');
+  if (!add('storage', 'Seconds', 4, 4, () => `${dv.getUint32(4, true)} (${formatAbsolute(dv.getUint32(4, true), 0, true).slice(0, 19)} UTC)`)) {
+    return { fields, problems, size: bytes.length };
+  }
+  add('storage', 'Microseconds', 8, 4, () => {
+    const usec = dv.getInt32(8, true);
+    if (usec < 0 || usec > 999999) problems.push(`Storage microseconds ${usec} are out of range (0-999999).`);
+    return String(usec);
+  });
+  add('storage', 'ECU ID', 12, 4, (raw) => `"${ascii(raw)}"`);
+
+  const h = STORAGE_HEADER_SIZE;
+  if (!add('standard', 'HTYP', h, 1, () => {
+    const htyp = dv.getUint8(h);
+    const flags = HTYP_BITS.filter(([bit]) => htyp & bit).map(([, name]) => name);
+    const version = (htyp >> 5) & 0x07;
+    if (version !== 1) problems.push(`Header version ${version}; DLT messages use version 1.`);
+    return `${flags.join(' ') || 'no flags'}, version ${version}`;
+  })) {
+    return { fields, problems, size: bytes.length };
+  }
+  const htyp = dv.getUint8(h);
+  const littleEndian = (htyp & 0x02) === 0;
+  add('standard', 'MCNT', h + 1, 1, () => `message counter ${dv.getUint8(h + 1)}`);
+  if (!add('standard', 'LEN', h + 2, 2, () => `${dv.getUint16(h + 2, false)} bytes from HTYP on`)) {
+    return { fields, problems, size: bytes.length };
+  }
+
+  const length = dv.getUint16(h + 2, false);
+  if (length <= 4) {
+    problems.push(`LEN is ${length}; a message needs more than the 4 byte standard header, so the parser skips it.`);
+    return { fields, problems, size: bytes.length };
+  }
+  const declaredEnd = h + length;
+  const end = Math.min(declaredEnd, bytes.length);
+  if (declaredEnd > bytes.length) {
+    problems.push(`Truncated: LEN declares ${STORAGE_HEADER_SIZE + length} bytes including the storage header, but only ${bytes.length} are present.`);
+  }
+
+  let cur = h + 4;
+  if (htyp & 0x04) {
+    if (add('extra', 'ECU ID', cur, 4, (raw) => `"${ascii(raw)}"`, end)) cur += 4;
+    else cur = end;
+  }
+  if (htyp & 0x08) {
+    if (add('extra', 'Session ID', cur, 4, () => String(dv.getUint32(cur, false)), end)) cur += 4;
+    else cur = end;
+  }
+  if (htyp & 0x10) {
+    if (add('extra', 'Timestamp', cur, 4, () => `${formatUptime(dv.getUint32(cur, false))} s uptime`, end)) cur += 4;
+    else cur = end;
+  }
+
+  let verbose = false;
+  let mstp = null;
+  let mtin = null;
+  let argCount = 0;
+  if (htyp & 0x01) {
+    if (cur + 10 <= end) {
+      const msin = dv.getUint8(cur);
+      verbose = (msin & 0x01) !== 0;
+      mstp = (msin >> 1) & 0x07;
+      mtin = (msin >> 4) & 0x0f;
+      argCount = dv.getUint8(cur + 1);
+      add('extended', 'MSIN', cur, 1, `${messageTypeName(mstp)} / ${messageInfoName(mstp, mtin)}, ${verbose ? 'verbose' : 'non-verbose'}`);
+      add('extended', 'NOAR', cur + 1, 1, `${argCount} arguments`);
+      add('extended', 'APID', cur + 2, 4, (raw) => `"${ascii(raw)}"`);
+      add('extended', 'CTID', cur + 6, 4, (raw) => `"${ascii(raw)}"`);
+      cur += 10;
+    } else {
+      add('extended', 'Extended header', cur, 10, '', end);
+      cur = end;
+    }
+  }
+
+  if (cur < end) inspectPayload(dv, bytes, cur, end, { littleEndian, verbose, mstp, mtin, argCount, catalog, add, problems });
+
+  return { fields, problems, size: bytes.length };
+}
+
+function inspectPayload(dv, bytes, start, end, { littleEndian, verbose, mstp, mtin, argCount, catalog, add, problems }) {
+  if (verbose) {
+    const r = new Reader(dv, start, end, littleEndian);
+    let failed = false;
+    for (let i = 0; i < argCount && !failed; i++) {
+      const at = r.pos;
+      try {
+        const arg = readArgument(r);
+        const value = formatArgumentValue(arg);
+        add('payload', `Argument ${i + 1} ${arg.type}`, at, r.pos - at, `${arg.name ? `${arg.name} = ` : ''}${value}${arg.unit ? ` ${arg.unit}` : ''}`);
+      } catch (err) {
+        problems.push(`Argument ${i + 1} at byte ${at}: ${err.message}.`);
+        r.pos = at;
+        failed = true;
+      }
+    }
+    if (r.pos < end) {
+      if (!failed) problems.push(`${end - r.pos} bytes follow the ${argCount} declared arguments.`);
+      add('unknown', 'Remaining bytes', r.pos, end - r.pos, ascii(bytes.subarray(r.pos, end)));
+    }
+    return;
+  }
+
+  if (mstp === MSTP_CONTROL) {
+    const control = decodeControl(dv, start, end, littleEndian, mtin);
+    if (!control) {
+      add('payload', 'Control payload', start, end - start, 'too short for a service ID');
+      return;
+    }
+    add('payload', 'Service ID', start, 4, `0x${control.serviceId.toString(16)} ${control.service}`);
+    if (end > start + 4) add('payload', 'Service data', start + 4, end - start - 4, control.payload);
+    if (control.error) problems.push(control.error);
+    return;
+  }
+
+  const nv = decodeNonVerbose(dv, start, end, littleEndian, catalog);
+  if (!nv) {
+    add('payload', 'Payload', start, end - start, ascii(bytes.subarray(start, end)));
+    return;
+  }
+  add('payload', 'Message ID', start, 4, nv.entry ? `${nv.messageId} (in the loaded catalog)` : `${nv.messageId} (not in a loaded catalog)`);
+  if (end > start + 4) add('payload', 'Parameters', start + 4, end - start - 4, nv.entry ? nv.payload : ascii(bytes.subarray(start + 4, end)));
+  if (nv.error) problems.push(nv.error);
+}
@@ -0,0 +1,109 @@
+import { storedMessageLength, parseMessage } from './parser.js';
+import { RecordBatch, batchTransferables } from './store.js';
+import { StreamFramer } from './stream.js';
+import { loadDecoders, applyDecoders } from './decoders.js';
+import { TraceStats } from './stats.js';
+
+// Received messages are posted in batches at most this often, not once per socket frame
+const FLUSH_INTERVAL = 200;
+// Statistics are snapshotted less often; they cover the whole capture, not just the ring buffer
+const STATS_INTERVAL = 1000;
+
+let socket = null;
+let catalog = null;
+let decoders = [];
+
+// Messages: { type: 'connect', url, ecu, catalog, decoders }, { type: 'catalog', catalog },
+// { type: 'decoders', decoders } and { type: 'close' } in; { type: 'open' }, then a stream of
+// { type: 'progress', batch?, bytes, messages, skipped, stats? } and a final { type: 'closed', reason }.
+// `bytes` holds the stored messages (generated storage headers included) received since
+// the previous progress message; record offsets count from the start of the capture.
+// Decoder files that do not load are reported with { type: 'decoders', failures } and left out.
+onmessage = function (e) {
+  const msg = e.data;
+  if (msg.type === 'connect') {
+    catalog = msg.catalog;
+    useDecoders(msg.decoders || []);
+    connect(msg.url, msg.ecu);
+  } else if (msg.type === 'catalog') {
+    catalog = msg.catalog;
+  } else if (msg.type === 'decoders') {
+    useDecoders(msg.decoders);
+  } else if (msg.type === 'close' && socket) {
+    socket.close();
+  }
+};
+
+// Messages received while the modules load are shown undecoded
+function useDecoders(entries) {
+  loadDecoders(entries).then(loaded => {
+    decoders = loaded.decoders;
+    if (loaded.failures.length) postMessage({ type: 'decoders', failures: loaded.failures });
+  });
+}
+
+function connect(url, ecu) {
+  const framer = new StreamFramer(ecu);
+  const batch = new RecordBatch();
+  let pending = []; // stored bytes not posted yet
+  let captured = 0;
+  let messages = 0;
+  const stats = new TraceStats([url]);
+  let statsPosted = 0;
+
+  const flush = (final = false) => {
+    if (batch.count === 0 && pending.length === 0 && !final) return;
+    const out = batch.count > 0 ? batch.take() : null;
+    const bytes = new Uint8Array(pending.reduce((sum, p) => sum + p.length, 0));
+    let at = 0;
+    for (const p of pending) {
+      bytes.set(p, at);
+      at += p.length;
+    }
+    pending = [];
+    const transfer = out ? [...batchTransferables(out), bytes.buffer] : [bytes.buffer];
+    const now = Date.now();
+    const snapshot = final || now - statsPosted >= STATS_INTERVAL ? stats.snapshot() : undefined;
+    if (snapshot) statsPosted = now;
+    postMessage({ type: 'progress', batch: out, bytes: bytes.buffer, messages, skipped: framer.skipped, stats: snapshot }, transfer);
+  };
+
+  try {
+    socket = new WebSocket(url);
+  } catch (err) {
+    postMessage({ type: 'closed', reason: err.message });
+    return;
+  }
+  socket.binaryType = 'arraybuffer';
+  const timer = setInterval(flush, FLUSH_INTERVAL);
+
+  socket.onopen = () => postMessage({ type: 'open' });
+
+  socket.onmessage = (event) => {
+    if (typeof event.data === 'string') return;
+    const stored = framer.push(new Uint8Array(event.data));
+    if (stored.length === 0) return;
+    pending.push(stored);
+    const data = new DataView(stored.buffer, stored.byteOffset, stored.byteLength);
+    for (let offset = 0; offset < stored.length;) {
+      const length = storedMessageLength(data, offset);
+      const record = parseMessage(data, offset, catalog, decoders.length > 0);
+      if (record) {
+        if (decoders.length) applyDecoders(decoders, record, data);
+        batch.push(record, captured + offset, length);
+        stats.add(record, 0, captured + offset, length);
+        messages++;
+        if (batch.full) flush();
+      }
+      offset += length;
+    }
+    captured += stored.length;
+  };
+
+  socket.onclose = (event) => {
+    clearInterval(timer);
+    flush(true);
+    socket = null;
+    postMessage({ type: 'closed', reason: event.reason || (event.wasClean ? '' : 'Connection lost') });
+  };
+}
@@ -0,0 +1,51 @@
+// Non-verbose payload decoding against a FIBEX/ARXML message catalog (see catalog.js).
+import { Reader, readScalar, toHex, formatArgumentValue } from './verbose.js';
+
+function readParameter(r, spec) {
+  const arg = { type: spec.type, name: spec.name || null, unit: spec.unit || null, value: null };
+  switch (spec.type) {
+    case 'STRG':
+      // Dynamic-length strings keep the verbose 16-bit length prefix
+      arg.value = r.text(spec.size || r.u16(), spec.encoding);
+      break;
+    case 'RAWD':
+      arg.value = toHex(r.bytes(spec.rest ? r.end - r.pos : spec.size || r.u16()));
+      break;
+    default:
+      arg.value = readScalar(r, spec.type, spec.size);
+  }
+  return arg;
+}
+
+// Payload layout: 32-bit message ID followed by the parameters declared for that ID.
+// Returns null when the payload is too short to carry a message ID.
+export function decodeNonVerbose(dv, offset, end, littleEndian, catalog) {
+  if (offset + 4 > end) return null;
+  const messageId = dv.getUint32(offset, littleEndian);
+  const entry = catalog && catalog.messages[messageId];
+
+  if (!entry) {
+    const rest = new Uint8Array(dv.buffer, dv.byteOffset + offset + 4, end - offset - 4);
+    return { messageId, entry: null, args: null, error: null, payload: `[${messageId}] ${toHex(rest)}`.trim() };
+  }
+
+  const r = new Reader(dv, offset + 4, end, littleEndian);
+  const args = [];
+  const parts = [];
+  let error = null;
+  for (const segment of entry.segments) {
+    if (segment.text !== undefined) {
+      parts.push(segment.text);
+      continue;
+    }
+    try {
+      const arg = readParameter(r, segment);
+      args.push(arg);
+      parts.push(arg.unit ? `${formatArgumentValue(arg)} ${arg.unit}` : formatArgumentValue(arg));
+    } catch (err) {
+      error = `Parameter ${args.length + 1}: ${err.message}`;
+      break;
+    }
+  }
+  return { messageId, entry, args, error, payload: parts.join(' ').trim() };
+}
@@ -0,0 +1,202 @@
+// Decoding of a single stored DLT message: storage header + standard header + optional
+// extra fields + optional extended header + payload. Shared by the parse worker and the
+// detail view, which re-decodes one message from its bytes to get the full argument list.
+import { decodeVerboseArguments, formatArguments } from './verbose.js';
+import { decodeNonVerbose } from './nonverbose.js';
+import { decodeControl } from './control.js';
+import { parseMessageType, parseMessageInfo, MSTP_CONTROL } from './header.js';
+
+export const STORAGE_HEADER_SIZE = 16;
+
+// Standard header type (HTYP) bits
+const HTYP_UEH = 0x01;
+const HTYP_MSBF = 0x02;
+const HTYP_WEID = 0x04;
+const HTYP_WSID = 0x08;
+const HTYP_WTMS = 0x10;
+
+// Extended header message info (MSIN) bits
+const MSIN_VERB = 0x01;
+
+function cleanString(dv, off, len) {
+  let str = "";
+  for (let i = 0; i < len; i++) {
+    const b = dv.getUint8(off + i);
+    if (b >= 32 && b <= 126) str += String.fromCharCode(b);
+  }
+  return str.trim();
+}
+
+// Fallback for payloads we cannot decode structurally
+function printablePayload(dv, off, end) {
+  let p = "";
+  for (let i = off; i < end; i++) {
+    const b = dv.getUint8(i);
+    if (b >= 32 && b <= 126) p += String.fromCharCode(b);
+    else if (b === 10 || b === 13) p += " ";
+  }
+  return p.trim();
+}
+
+// Storage Header "DLT\x01"
+export function isStorageHeader(dv, at) {
+  return at + 4 <= dv.byteLength &&
+    dv.getUint8(at) === 68 &&
+    dv.getUint8(at + 1) === 76 &&
+    dv.getUint8(at + 2) === 84 &&
+    dv.getUint8(at + 3) === 1;
+}
+
+// Total size of the stored message at `at` (storage header included), or -1 when the
+// bytes needed to tell are not there yet
+export function storedMessageLength(dv, at) {
+  if (at + STORAGE_HEADER_SIZE + 4 > dv.byteLength) return -1;
+  return STORAGE_HEADER_SIZE + dv.getUint16(at + STORAGE_HEADER_SIZE + 2, false); // Length is always Big Endian in Std Header
+}
+
+export const storageSeconds = (dv, at) => dv.getUint32(at + 4, true);
+
+// Cheap look at a stored message for indexing, without decoding anything beyond the
+// headers: storage seconds, the raw 4-byte ECU ID and the extended header MSIN (-1 if none)
+export function peekMessage(dv, at) {
+  const headerOffset = at + STORAGE_HEADER_SIZE;
+  const headerCtrl = dv.getUint8(headerOffset);
+  const end = Math.min(headerOffset + dv.getUint16(headerOffset + 2, false), dv.byteLength);
+  let ecu = dv.getUint32(at + 12, false);
+  let cur = headerOffset + 4;
+  if ((headerCtrl & HTYP_WEID) !== 0 && cur + 4 <= end) {
+    ecu = dv.getUint32(cur, false);
+    cur += 4;
+  }
+  if ((headerCtrl & HTYP_WSID) !== 0) cur += 4;
+  if ((headerCtrl & HTYP_WTMS) !== 0) cur += 4;
+  const msin = (headerCtrl & HTYP_UEH) !== 0 && cur < end ? dv.getUint8(cur) : -1;
+  return { sec: storageSeconds(dv, at), ecu, msin };
+}
+
+// Decodes the complete stored message at `at`. Returns null for messages too short to
+// carry a standard header. `withArgs` keeps the decoded argument list.
+export function parseMessage(dv, at, catalog, withArgs = false) {
+  const headerOffset = at + STORAGE_HEADER_SIZE;
+  const headerCtrl = dv.getUint8(headerOffset);
+  const length = dv.getUint16(headerOffset + 2, false);
+  if (length <= 4) return null;
+
+  const littleEndian = (headerCtrl & HTYP_MSBF) === 0; // MSBF set means payload is Big Endian
+  const hasEcu = (headerCtrl & HTYP_WEID) !== 0;
+  const hasExt = (headerCtrl & HTYP_UEH) !== 0;
+  const messageEnd = Math.min(headerOffset + length, dv.byteLength);
+
+  // Problems with the framing itself are reported like payload decode errors
+  let headerError = headerOffset + length > dv.byteLength
+    ? `Truncated: ${dv.byteLength - at} of ${STORAGE_HEADER_SIZE + length} bytes present`
+    : null;
+  const missing = (field) => {
+    if (!headerError) headerError = `${field} runs past the end of the message`;
+  };
+
+  // Storage header ECU is the fallback when the standard header carries none
+  let ecu = cleanString(dv, at + 12, 4) || "N/A";
+  const counter = dv.getUint8(headerOffset + 1);
+  let cur = headerOffset + 4;
+
+  // Counter (1 byte) + Length (2 bytes) + Header Ctrl (1 byte) = 4 bytes already read
+  if (hasEcu && cur + 4 <= messageEnd) {
+    ecu = cleanString(dv, cur, 4);
+    cur += 4;
+  } else if (hasEcu) {
+    missing('ECU ID');
+  }
+
+  // Session ID and header Timestamp (0.1 ms ticks) are always Big Endian
+  let session = null;
+  let uptime = null;
+  if ((headerCtrl & HTYP_WSID) !== 0 && cur + 4 <= messageEnd) {
+    session = dv.getUint32(cur, false);
+    cur += 4;
+  } else if ((headerCtrl & HTYP_WSID) !== 0) {
+    missing('Session ID');
+  }
+  if ((headerCtrl & HTYP_WTMS) !== 0 && cur + 4 <= messageEnd) {
+    uptime = dv.getUint32(cur, false);
+    cur += 4;
+  } else if ((headerCtrl & HTYP_WTMS) !== 0) {
+    missing('Timestamp');
+  }
+
+  let app = "-";
+  let ctx = "-";
+  let mstp = null;
+  let mtin = null;
+  let verbose = false;
+  let argCount = 0;
+  if (hasExt && cur + 10 <= messageEnd) {
+    // Extended Header: MSIN (1 byte) + NOAR (1 byte) + AppID (4 bytes) + ContextID (4 bytes)
+    const msin = dv.getUint8(cur);
+    verbose = (msin & MSIN_VERB) !== 0;
+    mstp = (msin >> 1) & 0x07;
+    mtin = (msin >> 4) & 0x0f;
+    argCount = dv.getUint8(cur + 1);
+    app = cleanString(dv, cur + 2, 4);
+    ctx = cleanString(dv, cur + 6, 4);
+    cur += 10;
+  } else if (hasExt) {
+    missing('Extended header');
+    cur = messageEnd;
+  }
+
+  const payloadStart = cur;
+  let payload = "";
+  let args = null;
+  let decodeError = null;
+  let messageId = null;
+  if (cur < messageEnd) {
+    if (verbose) {
+      ({ args, error: decodeError } = decodeVerboseArguments(dv, cur, messageEnd, littleEndian, argCount));
+      payload = formatArguments(args);
+    } else if (hasExt && mstp === MSTP_CONTROL) {
+      const control = decodeControl(dv, cur, messageEnd, littleEndian, mtin);
+      if (control) ({ args, payload, error: decodeError } = control);
+      else payload = printablePayload(dv, cur, messageEnd);
+    } else {
+      // Messages without extended header are always non-verbose
+      const nv = decodeNonVerbose(dv, cur, messageEnd, littleEndian, catalog);
+      if (nv) {
+        ({ messageId, args, payload, error: decodeError } = nv);
+        if (nv.entry && !hasExt) {
+          app = nv.entry.appId || app;
+          ctx = nv.entry.ctxId || ctx;
+          mstp = parseMessageType(nv.entry.messageType);
+          mtin = parseMessageInfo(mstp, nv.entry.messageInfo);
+        }
+      } else {
+        payload = printablePayload(dv, cur, messageEnd);
+      }
+    }
+  }
+
+  return {
+    sec: storageSeconds(dv, at),
+    usec: dv.getInt32(at + 8, true),
+    uptime,
+    ecu: ecu || "N/A",
+    app: app || "-",
+    ctx: ctx || "-",
+    mstp,
+    mtin,
+    counter,
+    session,
+    verbose,
+    argCount: verbose ? argCount : (args ? args.length : 0),
+    payload,
+    messageId,
+    args: withArgs ? args : null,
+    decodeError: headerError || decodeError,
+    // Fewer bytes present than the standard header length declares
+    truncated: headerOffset + length > dv.byteLength,
+    // Where the payload bytes lie in `dv`, for payload decoder plugins
+    payloadStart,
+    payloadEnd: messageEnd,
+    littleEndian
+  };
+}
@@ -0,0 +1,63 @@
+import { parseMessage, storedMessageLength, STORAGE_HEADER_SIZE } from './parser.js';
+import { RecordBatch, batchTransferables } from './store.js';
+import { scanFile } from './scan.js';
+import { loadDecoders, applyDecoders } from './decoders.js';
+import { TraceStats } from './stats.js';
+
+// Messages: { files: Blob[], range, catalog, decoders } in; then { type: 'decoders', failures }
+// when decoder files do not load (the run goes on without them), a stream of
+// { type: 'progress', batch?, bytes, total, messages, problems } and a final
+// { type: 'done', messages, problems, stats } with the TraceStats snapshot.
+// Files are parsed one after the other and each record keeps the index of its file.
+// `problems` lists the stretches of a file that did not make it into a record in full:
+// { source, offset, length, reason }.
+onmessage = async function (e) {
+  const { files, range, catalog } = e.data;
+  const { decoders, failures } = await loadDecoders(e.data.decoders || []);
+  if (failures.length) postMessage({ type: 'decoders', failures });
+  const batch = new RecordBatch();
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  let finished = 0; // bytes of the files already parsed
+  let messages = 0;
+  let problems = [];
+  const stats = new TraceStats(files.map(file => file.name));
+
+  for (let source = 0; source < files.length; source++) {
+    let consumed = 0;
+    const report = () => {
+      const out = batch.count > 0 ? batch.take() : null;
+      postMessage({ type: 'progress', batch: out, bytes: finished + consumed, total, messages, problems }, out ? batchTransferables(out) : []);
+      problems = [];
+    };
+
+    await scanFile(files[source], {
+      range,
+      visit: (data, offset, length, fileOffset) => {
+        const record = parseMessage(data, offset, catalog, decoders.length > 0);
+        if (!record) {
+          problems.push({ source, offset: fileOffset, length, reason: `Skipped: standard header length ${length - STORAGE_HEADER_SIZE} is too short for a message` });
+          return;
+        }
+        const declared = storedMessageLength(data, offset);
+        if (length < declared) {
+          problems.push({ source, offset: fileOffset, length, reason: `Truncated at the end of the file: ${length} of ${declared} bytes present` });
+        }
+        if (decoders.length) applyDecoders(decoders, record, data);
+        batch.push(record, fileOffset, length, source);
+        stats.add(record, source, fileOffset, length);
+        messages++;
+        if (batch.full) report();
+      },
+      onChunk: (bytes) => {
+        consumed = bytes;
+        report();
+      },
+      onSkip: (fileOffset, length) => {
+        problems.push({ source, offset: fileOffset, length, reason: `Skipped ${length} bytes without a complete stored message ("DLT\\x01" storage header)` });
+      }
+    });
+    finished += files[source].size;
+  }
+
+  postMessage({ type: 'done', messages, problems, stats: stats.snapshot() });
+};
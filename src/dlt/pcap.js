@@ -0,0 +1,312 @@
+// DLT messages carried in network captures (.pcap and .pcapng). TCP connections are
+// reassembled and framed like a live stream; UDP datagrams are taken when they use the DLT
+// port or consist of whole messages. Each message gets a storage header with the capture
+// time of the packet that completed it. IP fragments are not reassembled.
+import { StreamFramer, holdsWholeMessages } from './stream.js';
+
+export const DLT_PORT = 3490;
+const CHUNK_SIZE = 4 * 1024 * 1024;
+// Stored messages are collected into parts of about this size
+const PART_SIZE = 1024 * 1024;
+// Messages without an ECU ID in their standard header are stored under this one
+const CAPTURE_ECU = 'PCAP';
+
+const PCAPNG_SECTION = 0x0a0d0d0a;
+const PCAPNG_BYTE_ORDER = 0x1a2b3c4d;
+const PCAPNG_INTERFACE = 1;
+const PCAPNG_OBSOLETE_PACKET = 2;
+const PCAPNG_SIMPLE_PACKET = 3;
+const PCAPNG_ENHANCED_PACKET = 6;
+const PCAPNG_TSRESOL = 9;
+
+const LINKTYPE_NULL = 0;
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = 101;
+const LINKTYPE_LOOP = 108;
+const LINKTYPE_LINUX_SLL = 113;
+const LINKTYPE_IPV4 = 228;
+const LINKTYPE_IPV6 = 229;
+const LINKTYPE_LINUX_SLL2 = 276;
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86dd;
+const ETHERTYPE_VLAN = [0x8100, 0x88a8, 0x9100];
+const PROTO_TCP = 6;
+const PROTO_UDP = 17;
+const IPV6_EXTENSIONS = [0, 43, 60]; // hop-by-hop, routing, destination options
+const TCP_SYN = 0x02;
+
+// Sequential reads of a Blob in slices, so large captures never sit in memory whole
+class BlobReader {
+  constructor(blob) {
+    this.blob = blob;
+    this.buffer = new Uint8Array(0);
+    this.start = 0; // blob offset of buffer[0]
+    this.position = 0;
+  }
+
+  // The next `length` bytes, or null when the blob ends first
+  async read(length) {
+    const end = this.position + length;
+    if (end > this.start + this.buffer.length) {
+      if (end > this.blob.size) return null;
+      const loaded = this.start + this.buffer.length;
+      const chunk = new Uint8Array(await this.blob.slice(loaded, Math.max(end, loaded + CHUNK_SIZE)).arrayBuffer());
+      const kept = this.buffer.subarray(this.position - this.start);
+      const buffer = new Uint8Array(kept.length + chunk.length);
+      buffer.set(kept, 0);
+      buffer.set(chunk, kept.length);
+      this.buffer = buffer;
+      this.start = this.position;
+    }
+    const out = this.buffer.subarray(this.position - this.start, end - this.start);
+    this.position = end;
+    return out;
+  }
+}
+
+const view = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+const hex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+// Network layer payload of a link layer frame: { ip, version } or null
+function networkLayer(linktype, frame, le) {
+  const dv = view(frame);
+  let type, at;
+  switch (linktype) {
+    case LINKTYPE_ETHERNET:
+      if (frame.length < 14) return null;
+      at = 12;
+      type = dv.getUint16(at);
+      while (ETHERTYPE_VLAN.includes(type) && at + 6 <= frame.length) {
+        at += 4;
+        type = dv.getUint16(at);
+      }
+      at += 2;
+      break;
+    case LINKTYPE_LINUX_SLL:
+      if (frame.length < 16) return null;
+      type = dv.getUint16(14);
+      at = 16;
+      break;
+    case LINKTYPE_LINUX_SLL2:
+      if (frame.length < 20) return null;
+      type = dv.getUint16(0);
+      at = 20;
+      break;
+    case LINKTYPE_NULL:
+    case LINKTYPE_LOOP: {
+      if (frame.length < 4) return null;
+      // BSD address family, in the byte order of the capturing host (NULL) or big-endian (LOOP)
+      const family = dv.getUint32(0, linktype === LINKTYPE_NULL && le);
+      type = family === 2 ? ETHERTYPE_IPV4 : [24, 28, 30].includes(family) ? ETHERTYPE_IPV6 : -1;
+      at = 4;
+      break;
+    }
+    case LINKTYPE_RAW:
+    case LINKTYPE_IPV4:
+    case LINKTYPE_IPV6:
+      if (frame.length < 1) return null;
+      type = frame[0] >> 4 === 4 ? ETHERTYPE_IPV4 : frame[0] >> 4 === 6 ? ETHERTYPE_IPV6 : -1;
+      at = 0;
+      break;
+    default:
+      return null;
+  }
+  if (type !== ETHERTYPE_IPV4 && type !== ETHERTYPE_IPV6) return null;
+  return { ip: frame.subarray(at), version: type === ETHERTYPE_IPV4 ? 4 : 6 };
+}
+
+// Transport segment of an IP packet: { proto, src, dst, segment } or null
+function transportLayer({ ip, version }) {
+  const dv = view(ip);
+  if (version === 4) {
+    if (ip.length < 20) return null;
+    const headerLength = (ip[0] & 0x0f) * 4;
+    const total = Math.min(dv.getUint16(2), ip.length);
+    if (dv.getUint16(6) & 0x3fff) return null; // fragment
+    if (headerLength < 20 || total < headerLength) return null;
+    return { proto: ip[9], src: ip.subarray(12, 16), dst: ip.subarray(16, 20), segment: ip.subarray(headerLength, total) };
+  }
+  if (ip.length < 40) return null;
+  let next = ip[6];
+  let at = 40;
+  const end = Math.min(40 + dv.getUint16(4), ip.length);
+  while (IPV6_EXTENSIONS.includes(next)) {
+    if (at + 8 > end) return null;
+    next = ip[at];
+    at += (ip[at + 1] + 1) * 8;
+  }
+  if (at > end) return null;
+  return { proto: next, src: ip.subarray(8, 24), dst: ip.subarray(24, 40), segment: ip.subarray(at, end) };
+}
+
+export class CaptureConverter {
+  constructor() {
+    this.parts = [];
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.bytes = 0; // stored bytes produced so far
+    this.packets = 0; // packets that carried DLT data
+    this.streams = new Map(); // TCP connection -> { framer, next }
+  }
+
+  emit(stored) {
+    if (stored.length === 0) return;
+    this.pending.push(stored);
+    this.pendingBytes += stored.length;
+    this.bytes += stored.length;
+    if (this.pendingBytes >= PART_SIZE) this.flush();
+  }
+
+  flush() {
+    if (this.pending.length === 0) return;
+    const part = new Uint8Array(this.pendingBytes);
+    let at = 0;
+    for (const stored of this.pending) {
+      part.set(stored, at);
+      at += stored.length;
+    }
+    this.parts.push(part);
+    this.pending = [];
+    this.pendingBytes = 0;
+  }
+
+  packet(linktype, frame, micros, le) {
+    const network = networkLayer(linktype, frame, le);
+    const transport = network && transportLayer(network);
+    if (!transport) return;
+    const { proto, src, dst, segment } = transport;
+    const dv = view(segment);
+
+    if (proto === PROTO_UDP && segment.length >= 8) {
+      const payload = segment.subarray(8, Math.min(Math.max(8, dv.getUint16(4)), segment.length));
+      const port = dv.getUint16(0) === DLT_PORT || dv.getUint16(2) === DLT_PORT;
+      if (!port && !holdsWholeMessages(payload)) return;
+      this.packets++;
+      this.emit(new StreamFramer(CAPTURE_ECU).push(payload, micros));
+      return;
+    }
+
+    if (proto !== PROTO_TCP || segment.length < 20) return;
+    const srcPort = dv.getUint16(0);
+    const dstPort = dv.getUint16(2);
+    if (srcPort !== DLT_PORT && dstPort !== DLT_PORT) return;
+    const key = `${hex(src)}:${srcPort}>${hex(dst)}:${dstPort}`;
+    const seq = dv.getUint32(4);
+    let payload = segment.subarray(Math.min(segment.length, (segment[12] >> 4) * 4));
+    let stream = this.streams.get(key);
+    if (!stream) {
+      stream = { framer: new StreamFramer(CAPTURE_ECU), next: seq };
+      this.streams.set(key, stream);
+    }
+    if (segment[13] & TCP_SYN) {
+      stream.next = (seq + 1) >>> 0;
+      return;
+    }
+    if (payload.length === 0) return;
+
+    const ahead = (seq - stream.next) | 0;
+    if (ahead < 0) {
+      // Retransmission: drop what was already taken
+      if (payload.length <= -ahead) return;
+      payload = payload.subarray(-ahead);
+    } else if (ahead > 0) {
+      // Bytes went missing; start over at the next message header
+      stream.framer = new StreamFramer(CAPTURE_ECU);
+    }
+    stream.next = ((ahead < 0 ? stream.next : seq) + payload.length) >>> 0;
+    this.packets++;
+    this.emit(stream.framer.push(payload, micros));
+  }
+}
+
+// Reads a .pcap or .pcapng capture; `onProgress(bytesRead)` is called once per packet block.
+// Resolves to { parts, bytes, packets } with the stored messages in capture order.
+export async function convertCapture(blob, onProgress = () => {}) {
+  const reader = new BlobReader(blob);
+  const converter = new CaptureConverter();
+  const head = await reader.read(4);
+  if (!head) throw new Error('the file is too short for a capture');
+  const magic = view(head).getUint32(0, true);
+
+  if (magic === PCAPNG_SECTION) {
+    await readPcapng(reader, converter, onProgress);
+  } else {
+    const formats = { 0xa1b2c3d4: [true, 1], 0xa1b23c4d: [true, 1000], 0xd4c3b2a1: [false, 1], 0x4d3cb2a1: [false, 1000] };
+    if (!formats[magic]) throw new Error('not a pcap or pcapng capture');
+    const [le, nanoDivisor] = formats[magic];
+    const header = await reader.read(20);
+    if (!header) throw new Error('the capture header is cut short');
+    const linktype = view(header).getUint32(16, le) & 0xffff;
+    for (let record = await reader.read(16); record; record = await reader.read(16)) {
+      const dv = view(record);
+      const frame = await reader.read(dv.getUint32(8, le));
+      if (!frame) break;
+      const micros = dv.getUint32(0, le) * 1e6 + Math.floor(dv.getUint32(4, le) / nanoDivisor);
+      converter.packet(linktype, frame, micros, le);
+      onProgress(reader.position);
+    }
+  }
+  converter.flush();
+  return { parts: converter.parts, bytes: converter.bytes, packets: converter.packets };
+}
+
+async function readPcapng(reader, converter, onProgress) {
+  let le = true;
+  let interfaces = []; // per interface of the section: { linktype, unitsPerSecond }
+  let lastMicros = 0;
+  // The section header block was read up to its type; blocks are read as type + length
+  let type = PCAPNG_SECTION;
+  for (;;) {
+    const start = reader.position - 4;
+    const lengthBytes = await reader.read(4);
+    if (!lengthBytes) break;
+    if (type === PCAPNG_SECTION) {
+      const magic = await reader.read(4);
+      if (!magic) break;
+      le = view(magic).getUint32(0, true) === PCAPNG_BYTE_ORDER;
+      interfaces = [];
+    }
+    const length = view(lengthBytes).getUint32(0, le);
+    if (length < 12 || length % 4) throw new Error(`corrupt pcapng block at byte ${start}`);
+    const body = await reader.read(length - (reader.position - start) - 4);
+    if (!body || !(await reader.read(4))) break;
+    const dv = view(body);
+
+    if (type === PCAPNG_INTERFACE) {
+      interfaces.push({ linktype: dv.getUint16(0, le), unitsPerSecond: interfaceResolution(body, le) });
+    } else if (type === PCAPNG_ENHANCED_PACKET || type === PCAPNG_OBSOLETE_PACKET) {
+      const id = type === PCAPNG_ENHANCED_PACKET ? dv.getUint32(0, le) : dv.getUint16(0, le);
+      const face = interfaces[id];
+      if (face) {
+        const ticks = (BigInt(dv.getUint32(4, le)) << 32n) | BigInt(dv.getUint32(8, le));
+        lastMicros = Number((ticks * 1000000n) / face.unitsPerSecond);
+        converter.packet(face.linktype, body.subarray(20, 20 + dv.getUint32(12, le)), lastMicros, le);
+      }
+    } else if (type === PCAPNG_SIMPLE_PACKET && interfaces[0]) {
+      // Simple packets carry no time; they get the one of the packet before
+      converter.packet(interfaces[0].linktype, body.subarray(4, 4 + dv.getUint32(0, le)), lastMicros, le);
+    }
+    onProgress(reader.position);
+
+    const next = await reader.read(4);
+    if (!next) break;
+    type = view(next).getUint32(0, le);
+  }
+}
+
+// Timestamp units per second of an interface description block (if_tsresol, default µs)
+function interfaceResolution(body, le) {
+  const dv = view(body);
+  for (let at = 8; at + 4 <= body.length;) {
+    const code = dv.getUint16(at, le);
+    const length = dv.getUint16(at + 2, le);
+    if (code === 0) break;
+    if (code === PCAPNG_TSRESOL && length >= 1) {
+      const resolution = body[at + 4];
+      return resolution & 0x80 ? 2n ** BigInt(resolution & 0x7f) : 10n ** BigInt(resolution);
+    }
+    at += 4 + Math.ceil(length / 4) * 4;
+  }
+  return 1000000n;
+}
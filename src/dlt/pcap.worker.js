@@ -0,0 +1,21 @@
+import { convertCapture } from './pcap.js';
+
+// Progress is posted at most this often while the capture is read
+const REPORT_INTERVAL = 300;
+
+// Capture conversion: { file: Blob, name } in; then { type: 'progress', bytes, total } and a
+// final { type: 'done', file, packets } with the messages as a .dlt File, or { type: 'error', message }
+onmessage = async function (e) {
+  const { file, name } = e.data;
+  let reported = Date.now();
+  try {
+    const { parts, packets } = await convertCapture(file, (bytes) => {
+      if (Date.now() - reported < REPORT_INTERVAL) return;
+      reported = Date.now();
+      postMessage({ type: 'progress', bytes, total: file.size });
+    });
+    postMessage({ type: 'done', file: new File(parts, name), packets });
+  } catch (err) {
+    postMessage({ type: 'error', message: err.message });
+  }
+};
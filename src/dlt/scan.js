@@ -0,0 +1,80 @@
+// Streaming walk over the stored messages of a file, shared by the parse and index workers.
+// Files are read in slices so multi-gigabyte traces never have to fit in one ArrayBuffer.
+import { isStorageHeader, storedMessageLength, storageSeconds } from './parser.js';
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+function concat(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+}
+
+// Calls `visit(data, offset, length, fileOffset)` for every message whose storage time lies
+// in `range` (all of them without one); `length` is cut short for a truncated final message.
+// Stops at the first message after the range. `onChunk(bytes)` reports the bytes consumed;
+// `onSkip(fileOffset, length)` each run of bytes that holds no complete stored message.
+// `onData(bytes)` gets every slice as it is read, in file order.
+export async function scanFile(file, { range = null, visit, onChunk, onSkip = null, onData = null }) {
+  let carry = new Uint8Array(0); // unfinished message bytes from the previous slice
+  let base = 0; // file offset of carry[0]
+  let read = 0;
+  let done = false;
+  let skipFrom = -1; // file offset where the current run of skipped bytes began
+
+  while (read < file.size && !done) {
+    const chunk = new Uint8Array(await file.slice(read, read + CHUNK_SIZE).arrayBuffer());
+    read += chunk.length;
+    if (onData) onData(chunk);
+    const last = read >= file.size;
+    const bytes = carry.length ? concat(carry, chunk) : chunk;
+    const data = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+    const skip = () => {
+      if (skipFrom === -1) skipFrom = base + offset;
+      offset++;
+    };
+
+    while (offset < bytes.length) {
+      if (!isStorageHeader(data, offset)) {
+        // A header may straddle the slice boundary
+        if (offset + 4 > bytes.length && !last) break;
+        skip();
+        continue;
+      }
+
+      const total = storedMessageLength(data, offset);
+      if (total === -1 || offset + total > bytes.length) {
+        if (!last) break;
+        // Truncated final message: decode what is there
+        if (total === -1) {
+          skip();
+          continue;
+        }
+      }
+
+      if (skipFrom !== -1) {
+        if (onSkip) onSkip(skipFrom, base + offset - skipFrom);
+        skipFrom = -1;
+      }
+
+      const timestamp = storageSeconds(data, offset);
+      if (range && timestamp > range.end) {
+        done = true;
+        break;
+      }
+
+      if (!range || timestamp >= range.start) {
+        visit(data, offset, Math.min(total, bytes.length - offset), base + offset);
+      }
+      offset += total;
+    }
+
+    const consumed = Math.min(offset, bytes.length);
+    carry = bytes.slice(consumed);
+    base += consumed;
+    onChunk(base);
+  }
+  if (skipFrom !== -1 && onSkip) onSkip(skipFrom, file.size - skipFrom);
+}
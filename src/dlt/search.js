@@ -0,0 +1,38 @@
+// Text search over the searchable columns of the records. The same compiled query runs in
+// the search worker (matching) and in the table (highlighting).
+
+export const SEARCH_COLUMNS = ['payload', 'ecu', 'app', 'ctx'];
+
+export const emptySearch = () => ({
+  text: '',
+  caseSensitive: false,
+  wholeWord: false,
+  regex: false,
+  columns: [...SEARCH_COLUMNS],
+  mode: 'filter' // 'filter' hides non-matching rows, 'find' only highlights them
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Returns null for an empty query; throws SyntaxError for an invalid regex
+export function compileSearch(search) {
+  if (!search.text) return null;
+  let source = search.regex ? search.text : escapeRegex(search.text);
+  if (search.wholeWord) source = `\\b(?:${source})\\b`;
+  return new RegExp(source, search.caseSensitive ? '' : 'i');
+}
+
+// [start, end) ranges of the matches in `text`, for highlighting
+export function matchRanges(pattern, text) {
+  const global = new RegExp(pattern.source, pattern.flags + 'g');
+  const ranges = [];
+  let match;
+  while ((match = global.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      global.lastIndex++;
+      continue;
+    }
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
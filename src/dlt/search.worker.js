@@ -0,0 +1,110 @@
+import { compileSearch } from './search.js';
+
+// Records are tested in slices of this many, so a new query or more records can cut in
+const SLICE = 131072;
+
+// Mirror of the searchable columns of the UI's store. `base` counts the records dropped
+// from the front (live capture ring buffer), like LogStore.base.
+let base = 0;
+let size = 0;
+let payloads = [];
+let fieldTexts = new Map(); // decoder fields by record number (base + index), searched with the payload
+let strings = [];
+let ids = { ecu: new Uint32Array(0), app: new Uint32Array(0), ctx: new Uint32Array(0) };
+
+let query = null; // { id, pattern, columns, stringMatches }
+let searched = 0;
+let running = false;
+
+// Messages in: { type: 'reset', base }, { type: 'append', payloads, fields, ecu, app, ctx, strings },
+// { type: 'drop', count } and { type: 'search', id, search } (search null to stop).
+// Out: { type: 'matches', id, from, flags } per slice, `from` counting from the first record
+// ever appended, and { type: 'error', id, message } for an invalid query.
+onmessage = function (e) {
+  const msg = e.data;
+  if (msg.type === 'reset') {
+    base = msg.base;
+    size = 0;
+    payloads = [];
+    fieldTexts = new Map();
+    strings = [];
+    ids = { ecu: new Uint32Array(0), app: new Uint32Array(0), ctx: new Uint32Array(0) };
+    searched = 0;
+  } else if (msg.type === 'append') {
+    for (const name of Object.keys(ids)) ids[name] = appendIds(ids[name], msg[name]);
+    for (const payload of msg.payloads) payloads.push(payload);
+    for (const [number, text] of msg.fields) fieldTexts.set(number, text);
+    for (const value of msg.strings) strings.push(value);
+    size += msg.payloads.length;
+    run();
+  } else if (msg.type === 'drop') {
+    base += msg.count;
+    size -= msg.count;
+    payloads = payloads.slice(msg.count);
+    for (const number of fieldTexts.keys()) {
+      if (number >= base) break;
+      fieldTexts.delete(number);
+    }
+    for (const name of Object.keys(ids)) ids[name] = ids[name].slice(msg.count, msg.count + size);
+    searched = Math.max(0, searched - msg.count);
+  } else if (msg.type === 'search') {
+    query = null;
+    searched = 0;
+    if (!msg.search) return;
+    try {
+      const pattern = compileSearch(msg.search);
+      if (!pattern) return;
+      query = { id: msg.id, pattern, columns: msg.search.columns, stringMatches: [] };
+    } catch (err) {
+      postMessage({ type: 'error', id: msg.id, message: err.message });
+      return;
+    }
+    run();
+  }
+};
+
+// Keeps spare capacity so appending batch after batch stays linear
+function appendIds(column, values) {
+  if (size + values.length > column.length) {
+    const grown = new Uint32Array(Math.max(size + values.length, column.length * 2, 65536));
+    grown.set(column.subarray(0, size));
+    column = grown;
+  }
+  column.set(values, size);
+  return column;
+}
+
+// ID columns are interned, so each distinct string is tested only once per query
+function stringMatches(q) {
+  const matches = q.stringMatches;
+  for (let s = matches.length; s < strings.length; s++) matches.push(q.pattern.test(strings[s]));
+  return matches;
+}
+
+async function run() {
+  if (running) return;
+  running = true;
+  while (query && searched < size) {
+    const q = query;
+    const from = searched;
+    const to = Math.min(size, from + SLICE);
+    const flags = new Uint8Array(to - from);
+    const byString = stringMatches(q);
+    const idColumns = q.columns.filter(name => name in ids).map(name => ids[name]);
+    const withPayload = q.columns.includes('payload');
+    for (let i = from; i < to; i++) {
+      let match = withPayload && q.pattern.test(payloads[i]);
+      if (!match && withPayload && fieldTexts.size) {
+        const text = fieldTexts.get(base + i);
+        match = text !== undefined && q.pattern.test(text);
+      }
+      for (let c = 0; c < idColumns.length && !match; c++) match = byString[idColumns[c][i]];
+      if (match) flags[i - from] = 1;
+    }
+    searched = to;
+    postMessage({ type: 'matches', id: q.id, from: base + from, flags }, [flags.buffer]);
+    // Let queued messages (a new query, more records) in before the next slice
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  running = false;
+}
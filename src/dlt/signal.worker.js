@@ -0,0 +1,108 @@
+import { parseMessage } from './parser.js';
+import { scanFile } from './scan.js';
+import { loadDecoders, applyDecoders } from './decoders.js';
+import { compileSignals } from './signals.js';
+
+// Points beyond this many per signal are counted but not plotted
+const MAX_POINTS = 2000000;
+// Progress is posted at most this often while the files are read
+const REPORT_INTERVAL = 300;
+
+const grow = (array, Type) => {
+  const out = new Type(array.length * 2);
+  out.set(array);
+  return out;
+};
+
+class Series {
+  constructor(id) {
+    this.id = id;
+    this.count = 0;
+    this.total = 0;
+    this.time = new Float64Array(1024); // storage time in seconds
+    this.uptime = new Float64Array(1024); // ECU timestamp in seconds, NaN without one
+    this.value = new Float64Array(1024);
+    this.source = new Uint16Array(1024);
+    this.offset = new Float64Array(1024);
+  }
+
+  push(record, value, source, offset) {
+    this.total++;
+    if (this.count === MAX_POINTS) return;
+    if (this.count === this.value.length) {
+      this.time = grow(this.time, Float64Array);
+      this.uptime = grow(this.uptime, Float64Array);
+      this.value = grow(this.value, Float64Array);
+      this.source = grow(this.source, Uint16Array);
+      this.offset = grow(this.offset, Float64Array);
+    }
+    const i = this.count++;
+    this.time[i] = record.sec + record.usec / 1e6;
+    this.uptime[i] = record.uptime === null ? NaN : record.uptime / 1e4;
+    this.value[i] = value;
+    this.source[i] = source;
+    this.offset[i] = offset;
+  }
+
+  take() {
+    const n = this.count;
+    return {
+      id: this.id,
+      count: n,
+      total: this.total,
+      time: this.time.slice(0, n),
+      uptime: this.uptime.slice(0, n),
+      value: this.value.slice(0, n),
+      source: this.source.slice(0, n),
+      offset: this.offset.slice(0, n)
+    };
+  }
+}
+
+// Signal extraction pass over the files: { files: Blob[], range, catalog, decoders, signals }
+// in; then { type: 'decoders', failures } when decoder files do not load (they are left out),
+// { type: 'progress', bytes, total } and a final { type: 'done', series } with
+// one series per enabled signal, its points in file order. Points name their record by
+// file index and byte offset.
+onmessage = async function (e) {
+  const { files, range, catalog } = e.data;
+  const { decoders, failures } = await loadDecoders(e.data.decoders || []);
+  if (failures.length) postMessage({ type: 'decoders', failures });
+  const { compiled } = compileSignals(e.data.signals);
+  const series = compiled.map(signal => new Series(signal.id));
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  let finished = 0;
+  let reported = Date.now();
+
+  for (let source = 0; source < files.length && compiled.length > 0; source++) {
+    await scanFile(files[source], {
+      range,
+      visit: (data, offset, length, fileOffset) => {
+        const record = parseMessage(data, offset, catalog, true);
+        if (!record) return;
+        let decoded = decoders.length === 0;
+        for (let k = 0; k < compiled.length; k++) {
+          const signal = compiled[k];
+          if (signal.app && record.app !== signal.app) continue;
+          if (signal.ctx && record.ctx !== signal.ctx) continue;
+          if (!decoded) {
+            applyDecoders(decoders, record, data);
+            decoded = true;
+          }
+          const value = signal.extract(record);
+          if (value !== null) series[k].push(record, value, source, fileOffset);
+        }
+      },
+      onChunk: (bytes) => {
+        if (Date.now() - reported < REPORT_INTERVAL) return;
+        reported = Date.now();
+        postMessage({ type: 'progress', bytes: finished + bytes, total });
+      }
+    });
+    finished += files[source].size;
+  }
+
+  const out = series.map(s => s.take());
+  const transfer = out.flatMap(s => [s.time.buffer, s.uptime.buffer, s.value.buffer, s.source.buffer, s.offset.buffer]);
+  postMessage({ type: 'done', series: out }, transfer);
+};
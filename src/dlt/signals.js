@@ -0,0 +1,104 @@
+// Numeric signals extracted from log payloads. A signal takes its value either from the
+// first capture group of a regex run on the payload text, or from a verbose argument
+// (`argument`, 1-based). `app`/`ctx` restrict it to one App or Context ID, like filters.
+
+export const SIGNALS_KEY = 'dlt-turbo.signals';
+const FORMAT = 'dlt-turbo-signals';
+
+export const SIGNAL_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#475569'];
+
+let nextSignalId = 1;
+
+export function createSignal(fields = {}) {
+  const id = nextSignalId++;
+  return {
+    id,
+    name: '',
+    enabled: true,
+    app: '',
+    ctx: '',
+    kind: 'regex', // 'regex' or 'argument'
+    pattern: '',
+    argument: 1,
+    color: SIGNAL_COLORS[(id - 1) % SIGNAL_COLORS.length],
+    ...fields
+  };
+}
+
+const restore = (signals) => signals
+  .filter(s => s && typeof s === 'object')
+  .map(s => createSignal({
+    name: typeof s.name === 'string' ? s.name : '',
+    enabled: s.enabled !== false,
+    app: typeof s.app === 'string' ? s.app : '',
+    ctx: typeof s.ctx === 'string' ? s.ctx : '',
+    kind: s.kind === 'argument' ? 'argument' : 'regex',
+    pattern: typeof s.pattern === 'string' ? s.pattern : '',
+    argument: Math.max(1, parseInt(s.argument, 10) || 1),
+    ...(typeof s.color === 'string' ? { color: s.color } : {})
+  }));
+
+export function loadSavedSignals() {
+  try {
+    return restore(JSON.parse(localStorage.getItem(SIGNALS_KEY)) || []);
+  } catch {
+    return [];
+  }
+}
+
+export function saveSignals(signals) {
+  localStorage.setItem(SIGNALS_KEY, JSON.stringify(signals));
+}
+
+export function serializeSignals(signals) {
+  const plain = signals.map(({ id, ...signal }) => signal);
+  return JSON.stringify({ format: FORMAT, version: 1, signals: plain }, null, 2);
+}
+
+// Accepts files written by serializeSignals; imported signals get fresh ids
+export function parseSignals(text) {
+  const data = JSON.parse(text);
+  if (!data || data.format !== FORMAT || !Array.isArray(data.signals)) {
+    throw new Error('not a DLT Turbo signal file');
+  }
+  return restore(data.signals);
+}
+
+// Returns the value extractor, or throws SyntaxError for an invalid regex
+export function compileSignal(signal) {
+  if (signal.kind === 'argument') {
+    const index = signal.argument - 1;
+    return (record) => {
+      const arg = record.args && record.args[index];
+      if (!arg || arg.value === null || typeof arg.value === 'string' && arg.value.trim() === '') return null;
+      const value = Number(arg.value);
+      return Number.isFinite(value) ? value : null;
+    };
+  }
+  if (!signal.pattern) return () => null;
+  const regex = new RegExp(signal.pattern);
+  return (record) => {
+    const m = regex.exec(record.payload);
+    if (!m) return null;
+    const text = (m.length > 1 ? m.slice(1).find(group => group !== undefined) : m[0]) ?? '';
+    let value = Number(text);
+    if (text.trim() === '' || Number.isNaN(value)) value = parseFloat(text);
+    return Number.isFinite(value) ? value : null;
+  };
+}
+
+// Extractors for the enabled signals; those with an invalid regex are skipped and their
+// ids reported, as with filters
+export function compileSignals(signals) {
+  const compiled = [];
+  const invalid = [];
+  for (const signal of signals) {
+    if (!signal.enabled) continue;
+    try {
+      compiled.push({ id: signal.id, app: signal.app, ctx: signal.ctx, extract: compileSignal(signal) });
+    } catch {
+      invalid.push(signal.id);
+    }
+  }
+  return { compiled, invalid };
+}
@@ -0,0 +1,82 @@
+// Trace statistics gathered while parsing: volume per ECU/App/Context and log level, the
+// message rate per second and input file, and integrity findings (message counter
+// discontinuities, storage time running backwards or pausing). Findings name their record
+// by input file and byte offset, which stay valid when files are merged and re-sorted.
+import { Histogram, LEVEL_SLOTS, levelSlot } from './histogram.js';
+
+// Pauses between consecutive messages of a file from this long on are reported
+export const GAP_SECONDS = 5;
+// Findings beyond this many per kind are counted but not listed
+const MAX_FINDINGS = 2000;
+
+export class TraceStats {
+  constructor(sourceNames) {
+    this.sourceNames = sourceNames;
+    this.messages = 0;
+    this.bytes = 0;
+    this.groups = new Map(); // "ECU/App/Ctx" -> { ecu, app, ctx, counts, bytes } with per-level arrays
+    this.rate = new Histogram(); // per second, split by input file
+    this.counters = new Map(); // "source/ECU/session" -> last message counter
+    this.lastTime = []; // per source: storage time of the previous message in microseconds
+    this.counterGaps = { total: 0, lost: 0, list: [] };
+    this.timeJumps = { total: 0, backwards: 0, gaps: 0, list: [] };
+  }
+
+  add(record, source, offset, length) {
+    const slot = levelSlot(record.mstp, record.mtin);
+    const key = `${record.ecu}/${record.app}/${record.ctx}`;
+    let group = this.groups.get(key);
+    if (!group) {
+      group = { ecu: record.ecu, app: record.app, ctx: record.ctx, counts: new Uint32Array(LEVEL_SLOTS), bytes: new Float64Array(LEVEL_SLOTS) };
+      this.groups.set(key, group);
+    }
+    group.counts[slot]++;
+    group.bytes[slot] += length;
+    this.messages++;
+    this.bytes += length;
+    this.rate.add(record.sec, slot, this.sourceNames[source] || `source ${source}`);
+
+    // The counter wraps at 256 and runs per sender, which the session ID stands in for
+    const counterKey = `${source}/${record.ecu}/${record.session ?? ''}`;
+    const last = this.counters.get(counterKey);
+    if (last !== undefined) {
+      const expected = (last + 1) & 0xff;
+      if (record.counter !== expected) {
+        const lost = (record.counter - expected) & 0xff;
+        this.counterGaps.total++;
+        this.counterGaps.lost += lost;
+        if (this.counterGaps.list.length < MAX_FINDINGS) {
+          this.counterGaps.list.push({ source, offset, sec: record.sec, usec: record.usec, ecu: record.ecu, session: record.session, expected, counter: record.counter, lost });
+        }
+      }
+    }
+    this.counters.set(counterKey, record.counter);
+
+    const time = record.sec * 1e6 + record.usec;
+    const previous = this.lastTime[source];
+    if (previous !== undefined) {
+      const delta = (time - previous) / 1e6;
+      if (delta < 0 || delta >= GAP_SECONDS) {
+        this.timeJumps.total++;
+        if (delta < 0) this.timeJumps.backwards++;
+        else this.timeJumps.gaps++;
+        if (this.timeJumps.list.length < MAX_FINDINGS) {
+          this.timeJumps.list.push({ source, offset, sec: record.sec, usec: record.usec, kind: delta < 0 ? 'backwards' : 'gap', seconds: delta });
+        }
+      }
+    }
+    this.lastTime[source] = time;
+  }
+
+  // Plain copy that can be posted to the UI
+  snapshot() {
+    return {
+      messages: this.messages,
+      bytes: this.bytes,
+      groups: [...this.groups.values()].map(g => ({ ...g, counts: g.counts.slice(), bytes: g.bytes.slice() })),
+      rate: this.rate.snapshot(),
+      counterGaps: { ...this.counterGaps, list: this.counterGaps.list.slice() },
+      timeJumps: { ...this.timeJumps, list: this.timeJumps.list.slice() }
+    };
+  }
+}
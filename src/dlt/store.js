@@ -0,0 +1,237 @@
+// Columnar record storage. The worker fills a RecordBatch per chunk and transfers its
+// typed arrays; the UI appends batches to a LogStore and materialises row objects only
+// for the rows it actually touches. ECU/App/Context IDs are interned into a string table.
+
+const COLUMNS = {
+  sec: Uint32Array,
+  usec: Uint32Array,
+  uptime: Uint32Array,
+  session: Uint32Array,
+  messageId: Uint32Array,
+  counter: Uint8Array,
+  argCount: Uint16Array, // non-verbose catalogs may declare more than the 255 NOAR allows
+  mstp: Int8Array, // -1 when there is no extended header
+  mtin: Int8Array,
+  flags: Uint8Array,
+  ecu: Uint32Array,
+  app: Uint32Array,
+  ctx: Uint32Array,
+  source: Uint16Array, // index of the input file the record came from
+  offset: Float64Array, // byte offset of the storage header in the source file
+  length: Uint32Array // stored message size, storage header included
+};
+
+const HAS_SESSION = 0x01;
+const HAS_UPTIME = 0x02;
+const HAS_MESSAGE_ID = 0x04;
+const DECODE_ERROR = 0x08;
+const VERBOSE = 0x10;
+const TRUNCATED = 0x20;
+
+const allocate = (capacity) => Object.fromEntries(
+  Object.entries(COLUMNS).map(([name, Type]) => [name, new Type(capacity)])
+);
+
+export class RecordBatch {
+  constructor(capacity = 16384) {
+    this.capacity = capacity;
+    this.strings = new Map(); // interned value -> index, shared across batches
+    this.newStrings = [];
+    this.reset();
+  }
+
+  reset() {
+    this.count = 0;
+    this.columns = allocate(this.capacity);
+    this.payloads = [];
+    this.fields = []; // [index, text] for records with decoder fields
+    this.newStrings = [];
+  }
+
+  intern(value) {
+    let index = this.strings.get(value);
+    if (index === undefined) {
+      index = this.strings.size;
+      this.strings.set(value, index);
+      this.newStrings.push(value);
+    }
+    return index;
+  }
+
+  get full() {
+    return this.count === this.capacity;
+  }
+
+  push(record, offset, length, source = 0) {
+    const c = this.columns;
+    const i = this.count++;
+    c.sec[i] = record.sec;
+    c.usec[i] = record.usec;
+    c.uptime[i] = record.uptime ?? 0;
+    c.session[i] = record.session ?? 0;
+    c.messageId[i] = record.messageId ?? 0;
+    c.counter[i] = record.counter;
+    c.argCount[i] = record.argCount;
+    c.mstp[i] = record.mstp ?? -1;
+    c.mtin[i] = record.mtin ?? -1;
+    c.flags[i] = (record.session !== null ? HAS_SESSION : 0) |
+      (record.uptime !== null ? HAS_UPTIME : 0) |
+      (record.messageId !== null ? HAS_MESSAGE_ID : 0) |
+      (record.decodeError ? DECODE_ERROR : 0) |
+      (record.verbose ? VERBOSE : 0) |
+      (record.truncated ? TRUNCATED : 0);
+    c.ecu[i] = this.intern(record.ecu);
+    c.app[i] = this.intern(record.app);
+    c.ctx[i] = this.intern(record.ctx);
+    c.source[i] = source;
+    c.offset[i] = offset;
+    c.length[i] = length;
+    this.payloads.push(record.payload);
+    if (record.fieldText) this.fields.push([i, record.fieldText]);
+  }
+
+  // Hands the filled part over for postMessage and starts a new batch
+  take() {
+    const columns = Object.fromEntries(
+      Object.entries(this.columns).map(([name, array]) => [name, array.slice(0, this.count)])
+    );
+    const batch = { count: this.count, columns, payloads: this.payloads, fields: this.fields, strings: this.newStrings };
+    this.reset();
+    return batch;
+  }
+}
+
+export const batchTransferables = (batch) => Object.values(batch.columns).map(array => array.buffer);
+
+export class LogStore {
+  constructor() {
+    this.size = 0;
+    this.base = 0; // records dropped before index 0 (live capture ring buffer)
+    this.columns = allocate(0);
+    this.payloads = [];
+    // Decoder fields as text (searchable, not shown in the table); few records have them,
+    // so they are kept as ascending store indices with the text alongside
+    this.fieldIndices = [];
+    this.fieldTexts = [];
+    this.strings = [];
+  }
+
+  append(batch) {
+    const needed = this.size + batch.count;
+    if (needed > this.columns.sec.length) {
+      const capacity = Math.max(needed, this.columns.sec.length * 2, 65536);
+      const grown = allocate(capacity);
+      for (const name of Object.keys(COLUMNS)) grown[name].set(this.columns[name].subarray(0, this.size));
+      this.columns = grown;
+    }
+    for (const name of Object.keys(COLUMNS)) this.columns[name].set(batch.columns[name], this.size);
+    for (const payload of batch.payloads) this.payloads.push(payload);
+    for (const [i, text] of batch.fields || []) {
+      this.fieldIndices.push(this.size + i);
+      this.fieldTexts.push(text);
+    }
+    for (const value of batch.strings) this.strings.push(value);
+    this.size = needed;
+  }
+
+  // Storage-header time in microseconds, without materialising the row
+  micros(index) {
+    return this.columns.sec[index] * 1e6 + this.columns.usec[index];
+  }
+
+  // Records of several input files arrive file by file; this returns a store ordered by
+  // storage time (ties keep arrival order), or the store itself if it already is
+  sortedByTime() {
+    const { sec, usec } = this.columns;
+    let sorted = true;
+    for (let i = 1; i < this.size && sorted; i++) {
+      sorted = sec[i - 1] < sec[i] || (sec[i - 1] === sec[i] && usec[i - 1] <= usec[i]);
+    }
+    if (sorted) return this;
+
+    const order = new Uint32Array(this.size);
+    for (let i = 0; i < this.size; i++) order[i] = i;
+    order.sort((a, b) => (sec[a] - sec[b]) || (usec[a] - usec[b]) || (a - b));
+
+    const out = new LogStore();
+    out.size = this.size;
+    out.base = this.base;
+    out.strings = this.strings;
+    out.columns = allocate(this.size);
+    for (const name of Object.keys(COLUMNS)) {
+      const from = this.columns[name];
+      const to = out.columns[name];
+      for (let i = 0; i < this.size; i++) to[i] = from[order[i]];
+    }
+    out.payloads = Array.from(order, i => this.payloads[i]);
+    if (this.fieldIndices.length) {
+      const position = new Uint32Array(this.size);
+      for (let i = 0; i < this.size; i++) position[order[i]] = i;
+      const moved = this.fieldIndices.map((index, k) => [position[index], this.fieldTexts[k]]).sort((a, b) => a[0] - b[0]);
+      out.fieldIndices = moved.map(([index]) => index);
+      out.fieldTexts = moved.map(([, text]) => text);
+    }
+    return out;
+  }
+
+  // A store without the first `count` records, for the live capture ring buffer. Message
+  // numbers keep counting from the original first record.
+  dropFirst(count) {
+    const out = new LogStore();
+    out.size = this.size - count;
+    out.base = this.base + count;
+    out.strings = this.strings;
+    out.columns = allocate(out.size);
+    for (const name of Object.keys(COLUMNS)) out.columns[name].set(this.columns[name].subarray(count, this.size));
+    out.payloads = this.payloads.slice(count);
+    const first = lowerBound(this.fieldIndices, count);
+    out.fieldIndices = this.fieldIndices.slice(first).map(index => index - count);
+    out.fieldTexts = this.fieldTexts.slice(first);
+    return out;
+  }
+
+  // Whether the record's message was cut short at the end of its file
+  isTruncated(index) {
+    return (this.columns.flags[index] & TRUNCATED) !== 0;
+  }
+
+  // Row object in the shape the table, filters and exports work with; `id` is 1-based
+  get(index) {
+    const c = this.columns;
+    const flags = c.flags[index];
+    return {
+      id: this.base + index + 1,
+      index,
+      sec: c.sec[index],
+      usec: c.usec[index],
+      uptime: flags & HAS_UPTIME ? c.uptime[index] : null,
+      ecu: this.strings[c.ecu[index]],
+      app: this.strings[c.app[index]],
+      ctx: this.strings[c.ctx[index]],
+      mstp: c.mstp[index] === -1 ? null : c.mstp[index],
+      mtin: c.mtin[index] === -1 ? null : c.mtin[index],
+      counter: c.counter[index],
+      session: flags & HAS_SESSION ? c.session[index] : null,
+      messageId: flags & HAS_MESSAGE_ID ? c.messageId[index] : null,
+      verbose: (flags & VERBOSE) !== 0,
+      argCount: c.argCount[index],
+      hasDecodeError: (flags & DECODE_ERROR) !== 0,
+      truncated: (flags & TRUNCATED) !== 0,
+      payload: this.payloads[index],
+      source: c.source[index],
+      offset: c.offset[index],
+      length: c.length[index]
+    };
+  }
+}
+
+// First position in an ascending index array whose value is >= `value`
+export function lowerBound(sorted, value) {
+  let lo = 0, hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
@@ -0,0 +1,116 @@
+// Framing of a live DLT-over-TCP byte stream (as relayed from dlt-daemon): messages start
+// with the standard header, optionally preceded by the serial header "DLS\x01". Socket
+// frames may end anywhere, so unfinished bytes are kept until the rest arrives. Complete
+// messages are returned with a generated storage header, which makes them valid .dlt data.
+// Packet captures are framed the same way, per TCP connection or UDP datagram.
+import { STORAGE_HEADER_SIZE } from './parser.js';
+
+const SERIAL_HEADER = [68, 76, 83, 1]; // "DLS\x01"
+const HTYP_WEID = 0x04;
+const HTYP_VERSION_MASK = 0xe0;
+const HTYP_VERSION_1 = 0x20;
+const MIN_MESSAGE_LENGTH = 4;
+
+const hasSerialHeader = (bytes, at) =>
+  at + 4 <= bytes.length && SERIAL_HEADER.every((b, i) => bytes[at + i] === b);
+
+export class StreamFramer {
+  // `ecu` is written to the storage header of messages whose standard header has no ECU ID
+  constructor(ecu = 'LIVE') {
+    this.ecu = ecu;
+    this.carry = new Uint8Array(0);
+    this.serial = null; // detected from the first message
+    this.skipped = 0;
+  }
+
+  // Takes the bytes of one socket frame; returns the stored messages that are now complete,
+  // concatenated into one buffer. `micros` is the reception time for the storage headers.
+  push(chunk, micros = Date.now() * 1000) {
+    const bytes = this.carry.length ? concat(this.carry, chunk) : chunk;
+    const out = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      let at = offset;
+      if (this.serial !== false) {
+        if (at + 4 > bytes.length) break;
+        if (hasSerialHeader(bytes, at)) {
+          this.serial = true;
+          at += 4;
+        } else if (this.serial) {
+          // Lost sync: search for the next serial header
+          offset++;
+          this.skipped++;
+          continue;
+        } else {
+          this.serial = false;
+        }
+      }
+      if (at + MIN_MESSAGE_LENGTH > bytes.length) break;
+
+      const length = (bytes[at + 2] << 8) | bytes[at + 3];
+      if ((bytes[at] & HTYP_VERSION_MASK) !== HTYP_VERSION_1 || length < MIN_MESSAGE_LENGTH) {
+        offset++;
+        this.skipped++;
+        continue;
+      }
+      if (at + length > bytes.length) break;
+
+      out.push(this.store(bytes.subarray(at, at + length), micros));
+      offset = at + length;
+    }
+
+    this.carry = bytes.slice(offset);
+    return out.length === 1 ? out[0] : concatAll(out);
+  }
+
+  // Storage header: "DLT\x01", seconds and microseconds of reception, ECU ID
+  store(message, micros) {
+    const stored = new Uint8Array(STORAGE_HEADER_SIZE + message.length);
+    const dv = new DataView(stored.buffer);
+    stored.set([68, 76, 84, 1], 0);
+    dv.setUint32(4, Math.floor(micros / 1e6), true);
+    dv.setInt32(8, micros % 1e6, true);
+    const ecu = (message[0] & HTYP_WEID) && message.length >= 8 ? message.subarray(4, 8) : encodeId(this.ecu);
+    stored.set(ecu, 12);
+    stored.set(message, STORAGE_HEADER_SIZE);
+    return stored;
+  }
+}
+
+// True when `bytes` holds nothing but complete messages, each optionally behind a serial
+// header, the way a DLT-over-UDP datagram does
+export function holdsWholeMessages(bytes) {
+  let at = 0;
+  while (at < bytes.length) {
+    if (hasSerialHeader(bytes, at)) at += 4;
+    if (at + MIN_MESSAGE_LENGTH > bytes.length) return false;
+    const length = (bytes[at + 2] << 8) | bytes[at + 3];
+    if ((bytes[at] & HTYP_VERSION_MASK) !== HTYP_VERSION_1 || length < MIN_MESSAGE_LENGTH) return false;
+    at += length;
+  }
+  return at === bytes.length && at > 0;
+}
+
+function encodeId(text) {
+  const id = new Uint8Array(4);
+  for (let i = 0; i < Math.min(4, text.length); i++) id[i] = text.charCodeAt(i) & 0x7f;
+  return id;
+}
+
+function concat(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+}
+
+function concatAll(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let at = 0;
+  for (const p of parts) {
+    out.set(p, at);
+    at += p.length;
+  }
+  return out;
+}
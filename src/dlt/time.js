@@ -0,0 +1,52 @@
+// Timestamp formatting. Storage-header times are kept as whole seconds + microseconds to
+// avoid float rounding; header timestamps (ECU uptime) are in 0.1 ms ticks.
+
+export const TIME_MODES = {
+  absolute: 'Absolute',
+  relative: 'Relative to first',
+  delta: 'Delta to previous'
+};
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+export function formatAbsolute(sec, usec = 0, withDate = false) {
+  if (!sec) return withDate ? "1970-01-01 00:00:00.000000" : "00:00:00.000000";
+  const d = new Date(sec * 1000);
+  const time = `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}.${pad(usec, 6)}`;
+  if (!withDate) return time;
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${time}`;
+}
+
+export const toMicros = (log) => log.sec * 1e6 + log.usec;
+
+// Signed seconds with microsecond resolution, e.g. "+12.000345"
+export function formatOffset(micros) {
+  const sign = micros < 0 ? '-' : '+';
+  const abs = Math.abs(micros);
+  return `${sign}${Math.floor(abs / 1e6)}.${pad(abs % 1e6, 6)}`;
+}
+
+export function formatUptime(tmsp) {
+  if (tmsp === null || tmsp === undefined) return '';
+  return `${Math.floor(tmsp / 10000)}.${pad(tmsp % 10000, 4)}`;
+}
+
+export function formatRowTime(log, mode, first, prev) {
+  if (mode === 'relative' && first) return formatOffset(toMicros(log) - toMicros(first));
+  if (mode === 'delta') return formatOffset(prev ? toMicros(log) - toMicros(prev) : 0);
+  return formatAbsolute(log.sec, log.usec);
+}
+
+// Parses "YYYY-MM-DD HH:MM:SS[.ffffff]" or a bare "HH:MM:SS[.ffffff]" (taken on the UTC day
+// of `referenceSec`) into microseconds since the epoch; null when it is neither
+export function parseTimeInput(text, referenceSec = 0) {
+  const m = /^(?:(\d{4})[-/](\d{2})[-/](\d{2})[ T])?(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,6}))?)?$/.exec(text.trim());
+  if (!m) return null;
+  const [, year, month, day, hh, mm, ss = '0', frac = ''] = m;
+  const ref = new Date(referenceSec * 1000);
+  const dayMs = year
+    ? Date.UTC(+year, +month - 1, +day)
+    : Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate());
+  const seconds = dayMs / 1000 + (+hh) * 3600 + (+mm) * 60 + (+ss);
+  return seconds * 1e6 + parseInt(frac.padEnd(6, '0'), 10);
+}
@@ -0,0 +1,225 @@
+// DLT verbose-mode argument decoding (AUTOSAR PRS Log and Trace, "Type Info").
+
+// Type Info bit layout
+const TYLE_MASK = 0x0000000f;
+const TYPE_BOOL = 0x00000010;
+const TYPE_SINT = 0x00000020;
+const TYPE_UINT = 0x00000040;
+const TYPE_FLOA = 0x00000080;
+const TYPE_ARAY = 0x00000100;
+const TYPE_STRG = 0x00000200;
+const TYPE_RAWD = 0x00000400;
+const TYPE_VARI = 0x00000800;
+const TYPE_FIXP = 0x00001000;
+const TYPE_TRAI = 0x00002000;
+const TYPE_STRU = 0x00004000;
+const SCOD_MASK = 0x00038000;
+
+const SCOD_UTF8 = 0x00008000;
+const SCOD_HEX = 0x00010000;
+const SCOD_BIN = 0x00018000;
+
+// TYLE -> width in bytes
+const TYLE_BYTES = [0, 1, 2, 4, 8, 16];
+
+const utf8 = new TextDecoder('utf-8');
+const latin1 = new TextDecoder('latin1');
+const utf16le = new TextDecoder('utf-16le');
+const utf16be = new TextDecoder('utf-16be');
+
+export class Reader {
+  constructor(dv, offset, end, littleEndian) {
+    this.dv = dv;
+    this.pos = offset;
+    this.end = end;
+    this.le = littleEndian;
+  }
+
+  need(n) {
+    if (this.pos + n > this.end) throw new RangeError('argument truncated');
+  }
+
+  u8() { this.need(1); return this.dv.getUint8(this.pos++); }
+  u16() { this.need(2); const v = this.dv.getUint16(this.pos, this.le); this.pos += 2; return v; }
+  u32() { this.need(4); const v = this.dv.getUint32(this.pos, this.le); this.pos += 4; return v; }
+
+  bytes(n) {
+    this.need(n);
+    const out = new Uint8Array(this.dv.buffer, this.dv.byteOffset + this.pos, n);
+    this.pos += n;
+    return out;
+  }
+
+  // Length-prefixed strings are zero terminated; drop the terminator and anything after it.
+  // 'utf16' strings follow the byte order of the message and end with a 16-bit zero.
+  text(n, encoding = 'ascii') {
+    const raw = this.bytes(n);
+    if (encoding === 'utf16') {
+      let len = 0;
+      while (len + 1 < raw.length && (raw[len] !== 0 || raw[len + 1] !== 0)) len += 2;
+      return (this.le ? utf16le : utf16be).decode(raw.subarray(0, len));
+    }
+    let len = raw.indexOf(0);
+    if (len === -1) len = raw.length;
+    return (encoding === 'utf8' ? utf8 : latin1).decode(raw.subarray(0, len));
+  }
+}
+
+export const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+
+// Keep 64-bit integers as numbers while they are exact, otherwise as decimal strings.
+const fromBig = (big) => (big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER)) ? Number(big) : big.toString();
+
+function readFloat16(r) {
+  const h = r.u16();
+  const sign = (h & 0x8000) ? -1 : 1;
+  const exp = (h >> 10) & 0x1f;
+  const frac = h & 0x03ff;
+  if (exp === 0) return sign * Math.pow(2, -14) * (frac / 1024);
+  if (exp === 0x1f) return frac ? NaN : sign * Infinity;
+  return sign * Math.pow(2, exp - 15) * (1 + frac / 1024);
+}
+
+function readInteger(r, size, signed) {
+  const { dv, le } = r;
+  r.need(size);
+  const at = r.pos;
+  r.pos += size;
+  switch (size) {
+    case 1: return signed ? dv.getInt8(at) : dv.getUint8(at);
+    case 2: return signed ? dv.getInt16(at, le) : dv.getUint16(at, le);
+    case 4: return signed ? dv.getInt32(at, le) : dv.getUint32(at, le);
+    case 8: return fromBig(signed ? dv.getBigInt64(at, le) : dv.getBigUint64(at, le));
+    case 16: {
+      // No native 128-bit view: combine the two halves
+      const lo = dv.getBigUint64(le ? at : at + 8, le);
+      const hi = le ? dv.getBigUint64(at + 8, le) : dv.getBigUint64(at, le);
+      let big = (hi << 64n) | lo;
+      if (signed && (hi & (1n << 63n))) big -= 1n << 128n;
+      return big.toString();
+    }
+    default: throw new RangeError(`unsupported integer length ${size}`);
+  }
+}
+
+// Reads a fixed-size BOOL/UINT/SINT/FLOA value of `size` bytes
+export function readScalar(r, type, size) {
+  switch (type) {
+    case 'BOOL':
+      return r.u8() !== 0;
+    case 'UINT':
+    case 'SINT':
+      return readInteger(r, size, type === 'SINT');
+    case 'FLOA':
+      if (size === 2) return readFloat16(r);
+      r.need(size);
+      if (size === 4) { const v = r.dv.getFloat32(r.pos, r.le); r.pos += 4; return v; }
+      if (size === 8) { const v = r.dv.getFloat64(r.pos, r.le); r.pos += 8; return v; }
+      throw new RangeError(`unsupported float length ${size}`);
+    default:
+      throw new RangeError(`${type} is not a scalar type`);
+  }
+}
+
+function formatInteger(value, size, scod) {
+  if (scod !== SCOD_HEX && scod !== SCOD_BIN) return value;
+  let big = BigInt(value);
+  if (big < 0n) big += 1n << BigInt(size * 8);
+  return scod === SCOD_HEX
+    ? '0x' + big.toString(16).padStart(size * 2, '0')
+    : '0b' + big.toString(2).padStart(size * 8, '0');
+}
+
+function typeName(info) {
+  if (info & TYPE_BOOL) return 'BOOL';
+  if (info & TYPE_SINT) return 'SINT';
+  if (info & TYPE_UINT) return 'UINT';
+  if (info & TYPE_FLOA) return 'FLOA';
+  if (info & TYPE_STRG) return 'STRG';
+  if (info & TYPE_RAWD) return 'RAWD';
+  if (info & TYPE_TRAI) return 'TRAI';
+  if (info & TYPE_ARAY) return 'ARAY';
+  if (info & TYPE_STRU) return 'STRU';
+  return 'UNKNOWN';
+}
+
+export function readArgument(r) {
+  const info = r.u32();
+  const type = typeName(info);
+  const size = TYLE_BYTES[info & TYLE_MASK] || 0;
+  const hasVari = (info & TYPE_VARI) !== 0;
+  const scod = info & SCOD_MASK;
+  const arg = { type, name: null, unit: null, value: null };
+
+  switch (type) {
+    case 'STRG':
+    case 'TRAI':
+    case 'RAWD': {
+      const len = r.u16();
+      if (hasVari) arg.name = r.text(r.u16());
+      if (type === 'RAWD') arg.value = toHex(r.bytes(len));
+      else arg.value = r.text(len, scod === SCOD_UTF8 ? 'utf8' : 'ascii');
+      return arg;
+    }
+    case 'BOOL': {
+      if (hasVari) arg.name = r.text(r.u16());
+      arg.value = readScalar(r, 'BOOL', 1);
+      return arg;
+    }
+    case 'UINT':
+    case 'SINT':
+    case 'FLOA': {
+      if (hasVari) {
+        const nameLen = r.u16();
+        const unitLen = r.u16();
+        arg.name = r.text(nameLen);
+        arg.unit = r.text(unitLen);
+      }
+      let quantization = null, fixOffset = 0;
+      if (info & TYPE_FIXP) {
+        r.need(4);
+        quantization = r.dv.getFloat32(r.pos, r.le);
+        r.pos += 4;
+        fixOffset = readInteger(r, size > 4 ? 8 : 4, true);
+      }
+      const raw = readScalar(r, type, size);
+      if (quantization !== null) arg.value = Number(raw) * quantization + Number(fixOffset);
+      else arg.value = type === 'FLOA' ? raw : formatInteger(raw, size, scod);
+      return arg;
+    }
+    default:
+      // Arrays and structs carry nested type info we do not render yet
+      throw new RangeError(`${type} arguments are not supported`);
+  }
+}
+
+// Decodes `count` arguments from [offset, end). Stops at the first malformed argument
+// and reports why, so the rows still show everything that could be read.
+export function decodeVerboseArguments(dv, offset, end, littleEndian, count) {
+  const r = new Reader(dv, offset, end, littleEndian);
+  const args = [];
+  let error = null;
+  for (let i = 0; i < count; i++) {
+    try {
+      args.push(readArgument(r));
+    } catch (err) {
+      error = `Argument ${i + 1}: ${err.message}`;
+      break;
+    }
+  }
+  return { args, error };
+}
+
+export function formatArgumentValue(arg) {
+  if (arg.value === null || arg.value === undefined) return '';
+  if (typeof arg.value === 'boolean') return arg.value ? 'true' : 'false';
+  return String(arg.value);
+}
+
+// Single-line rendering used by the table: values separated by spaces, like DLT Viewer
+export function formatArguments(args) {
+  return args.map(a => {
+    const v = formatArgumentValue(a);
+    return a.unit ? `${v} ${a.unit}` : v;
+  }).join(' ');
+}
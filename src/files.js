@@ -0,0 +1,27 @@
+// Collects trace files from a folder pick or a drag & drop, descending into dropped folders.
+// Besides .dlt files these are gzipped .dlt files, zip archives and network captures.
+export const isTraceFile = (file) => /\.(dlt|dlt\.gz|zip|pcap|pcapng)$/i.test(file.name);
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+async function filesOfEntry(entry) {
+  if (entry.isFile) return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+  const reader = entry.createReader();
+  const files = [];
+  // readEntries hands out a directory in pieces until it returns an empty list
+  for (let entries = await readEntries(reader); entries.length; entries = await readEntries(reader)) {
+    for (const child of entries) files.push(...await filesOfEntry(child));
+  }
+  return files;
+}
+
+export async function droppedFiles(dataTransfer) {
+  // Entries have to be taken before the first await; the DataTransfer is emptied afterwards
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  const files = entries.length
+    ? (await Promise.all(entries.map(filesOfEntry))).flat()
+    : Array.from(dataTransfer.files);
+  return files.filter(isTraceFile);
+}
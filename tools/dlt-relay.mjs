@@ -0,0 +1,175 @@
+// Replays a recorded .dlt file as a live DLT-over-TCP stream on a WebSocket, the way a
+// dlt-daemon bridge would relay it, so live capture can be tried without a bench:
+//
+//   node tools/dlt-relay.mjs trace.dlt [--port 3490] [--rate 500] [--speed 1] [--serial] [--loop]
+//
+// Storage headers are stripped. Messages are paced by their storage timestamps (gaps capped
+// at one second, scaled by --speed) or sent at a fixed --rate per second, and the stream is
+// cut into random-sized frames so that reassembly across frames gets exercised. --serial
+// prefixes every message with the "DLS\x01" serial header. Only Node built-ins are used.
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const STORAGE_HEADER_SIZE = 16;
+const SERIAL_HEADER = Buffer.from('DLS\x01', 'latin1');
+const TICK = 20;
+const MAX_GAP = 1000;
+
+// Accepted values of the numeric options
+const NUMERIC = {
+  port: (n) => Number.isInteger(n) && n >= 0 && n <= 65535,
+  rate: (n) => n >= 0,
+  speed: (n) => n > 0
+};
+
+// Options, or { error } for an unknown option or a missing or out-of-range numeric value
+function parseArgs(argv) {
+  const options = { port: 3490, rate: 0, speed: 1, serial: false, loop: false, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = arg.slice(2);
+    if (arg === '--serial') options.serial = true;
+    else if (arg === '--loop') options.loop = true;
+    else if (arg.startsWith('--') && NUMERIC[name]) {
+      const text = argv[++i];
+      const value = text === undefined || text.trim() === '' ? NaN : Number(text);
+      if (!Number.isFinite(value) || !NUMERIC[name](value)) return { error: `Invalid value for ${arg}: ${text === undefined ? '(missing)' : text}` };
+      options[name] = value;
+    } else if (arg.startsWith('-')) return { error: `Unknown option: ${arg}` };
+    else if (options.file) return { error: `Unexpected argument: ${arg}` };
+    else options.file = arg;
+  }
+  return options;
+}
+
+// Splits a .dlt file into { time (ms), bytes } with the storage header removed
+function readMessages(path, serial) {
+  const data = readFileSync(path);
+  const messages = [];
+  let at = 0;
+  while (at + STORAGE_HEADER_SIZE + 4 <= data.length) {
+    if (data.toString('latin1', at, at + 4) !== 'DLT\x01') {
+      at++;
+      continue;
+    }
+    const length = data.readUInt16BE(at + STORAGE_HEADER_SIZE + 2);
+    const end = at + STORAGE_HEADER_SIZE + length;
+    if (length < 4 || end > data.length) break;
+    const time = data.readUInt32LE(at + 4) * 1000 + data.readInt32LE(at + 8) / 1000;
+    const bytes = data.subarray(at + STORAGE_HEADER_SIZE, end);
+    messages.push({ time, bytes: serial ? Buffer.concat([SERIAL_HEADER, bytes]) : bytes });
+    at = end;
+  }
+  return messages;
+}
+
+// Milliseconds after the start of one replay pass at which each message is due
+function schedule(messages, { rate, speed }) {
+  const due = [];
+  let at = 0;
+  messages.forEach((msg, i) => {
+    if (rate > 0) at = (i * 1000) / rate;
+    else if (i > 0) at += Math.min(MAX_GAP, Math.max(0, msg.time - messages[i - 1].time)) / speed;
+    due.push(at);
+  });
+  return due;
+}
+
+// Unmasked binary frame (server to client)
+function binaryFrame(payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x82, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x82;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x82;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function replay(socket, messages, due, options) {
+  let next = 0;
+  let passStart = Date.now();
+  const timer = setInterval(() => {
+    const elapsed = Date.now() - passStart;
+    const parts = [];
+    while (next < messages.length && due[next] <= elapsed) parts.push(messages[next++].bytes);
+
+    // Cut the stream anywhere, message boundaries included
+    const stream = Buffer.concat(parts);
+    for (let at = 0; at < stream.length;) {
+      const size = 1 + Math.floor(Math.random() * 1500);
+      socket.write(binaryFrame(stream.subarray(at, at + size)));
+      at += size;
+    }
+
+    if (next === messages.length) {
+      if (!options.loop) {
+        clearInterval(timer);
+        console.log('Replay finished');
+        return;
+      }
+      next = 0;
+      passStart = Date.now() + TICK;
+    }
+  }, TICK);
+  socket.on('close', () => clearInterval(timer));
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (options.error || !options.file) {
+  if (options.error) console.error(options.error);
+  console.error('Usage: node tools/dlt-relay.mjs <file.dlt> [--port 3490] [--rate n] [--speed n] [--serial] [--loop]');
+  console.error('  --rate is messages per second (0: paced by timestamps), --speed a factor above 0');
+  process.exit(1);
+}
+let messages;
+try {
+  messages = readMessages(options.file, options.serial);
+} catch (err) {
+  console.error(`Cannot read ${options.file}: ${err.message}`);
+  process.exit(1);
+}
+const due = schedule(messages, options);
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('WebSocket endpoint\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) {
+    socket.destroy();
+    return;
+  }
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+  console.log(`Client connected from ${socket.remoteAddress}`);
+
+  // The only client frame that matters is close (opcode 8); answer it and hang up
+  socket.on('data', (frame) => {
+    if ((frame[0] & 0x0f) === 0x08) socket.end(Buffer.from([0x88, 0]));
+  });
+  socket.on('error', () => socket.destroy());
+  replay(socket, messages, due, options);
+});
+
+server.listen(options.port, () => {
+  console.log(`Relaying ${messages.length} messages from ${options.file} on ws://localhost:${options.port}`);
+});